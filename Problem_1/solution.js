@@ -5,7 +5,8 @@
  * Author: Prabhat Kumar (Updated)
  * 
  * Approach:
- * 1. Tokenize the input string (handle multi-digit numbers, decimals, negative numbers).
+ * 1. Tokenize the input string (handle multi-digit numbers, decimals, negative numbers,
+ *    identifiers, function calls, assignment and statement separators).
  * 2. Convert Infix notation (A + B) to Postfix notation (A B +) using the Shunting-yard algorithm.
  *    This automatically handles operator precedence and parentheses.
  * 3. Evaluate the Postfix expression using a stack.
@@ -18,258 +19,2572 @@
 const fs = require('fs');
 const path = require('path');
 
+// --- Errors ---
+
+/**
+ * Error with a machine-readable `code` and the [offset, offset + length)
+ * character range it refers to. When several problems are found in one pass,
+ * they are collected in `errors` under a MULTIPLE_ERRORS error.
+ */
+class ExpressionError extends Error {
+    constructor(message, { code, offset = 0, length = 0, errors = [], source } = {}) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.code = code;
+        this.offset = offset;
+        this.length = length;
+        this.errors = errors;
+        this.source = source;
+    }
+
+    /**
+     * Renders the error under the line of `source` it refers to, with a caret
+     * underline:
+     *     Unexpected ')'
+     *       (1 + ) * 2
+     *            ^
+     */
+    format(source = this.source) {
+        if (this.errors.length > 0) {
+            return [this.message, ...this.errors.map(err => err.format(source))].join('\n');
+        }
+        if (source === undefined) {
+            return this.message;
+        }
+        const lineStart = source.lastIndexOf('\n', this.offset - 1) + 1;
+        const lineEnd = source.indexOf('\n', this.offset);
+        const line = source.slice(lineStart, lineEnd === -1 ? source.length : lineEnd);
+        const column = this.offset - lineStart;
+        const caret = '^'.repeat(Math.max(1, Math.min(this.length, line.length - column)));
+        return `${this.message}\n  ${line}\n  ${' '.repeat(column)}${caret}`;
+    }
+}
+
+const errorAt = (message, code, token) =>
+    new ExpressionError(message, { code, offset: token.start, length: token.end - token.start });
+
+/**
+ * Throws the collected errors: a single one as is, several as MULTIPLE_ERRORS
+ * sorted by offset.
+ */
+function throwErrors(errors) {
+    if (errors.length === 0) return;
+    if (errors.length === 1) throw errors[0];
+    errors.sort((a, b) => a.offset - b.offset);
+    throw new ExpressionError(`${errors.length} errors in expression`, {
+        code: 'MULTIPLE_ERRORS',
+        offset: errors[0].offset,
+        length: errors[0].length,
+        errors
+    });
+}
+
+const attachSource = (err, source) => {
+    if (err instanceof ExpressionError) {
+        err.source = source;
+        err.errors.forEach(inner => { inner.source = source; });
+    }
+    return err;
+};
+
+/**
+ * Raised when input exceeds one of the resource limits (see getLimits).
+ * `limit` names the limit and `max` is its configured value, so a service
+ * can tell hostile input apart from ordinary mistakes.
+ */
+class LimitError extends ExpressionError {
+    constructor(message, { limit, max, ...details }) {
+        super(message, details);
+        this.name = 'LimitError';
+        this.limit = limit;
+        this.max = max;
+    }
+}
+
+const limitErrorAt = (message, code, limit, max, token) =>
+    new LimitError(message, { code, limit, max, offset: token.start, length: token.end - token.start });
+
+// --- Resource limits ---
+
+const NO_LIMITS = Object.freeze({
+    maxLength: Infinity,
+    maxTokens: Infinity,
+    maxNesting: Infinity,
+    maxSteps: Infinity,
+    maxDigits: Infinity,
+    overflow: 'allow'
+});
+
+// A reasonable starting point for formulas typed in by end users
+const SAFE_LIMITS = Object.freeze({
+    maxLength: 1000,
+    maxTokens: 500,
+    maxNesting: 50,
+    maxSteps: 10000,
+    maxDigits: 1000,
+    overflow: 'error'
+});
+
+const OVERFLOW_POLICIES = ['allow', 'error', 'clamp'];
+
+/**
+ * Completes an `options.limits` object. Limits left out are unbounded:
+ *   maxLength   characters in the expression          (EXPRESSION_TOO_LONG)
+ *   maxTokens   tokens after tokenizing                (TOO_MANY_TOKENS)
+ *   maxNesting  depth of the operator stack in toPostfix: open parentheses,
+ *               calls and operators waiting for their operand (NESTING_TOO_DEEP)
+ *   maxSteps    postfix tokens executed, or AST nodes visited by a compiled
+ *               formula, across all statements        (STEP_LIMIT_EXCEEDED)
+ *   maxDigits   decimal digits of an exact (bigint or rational) value:
+ *               literals and powers are estimated before they are
+ *               computed, other results checked after (TOO_MANY_DIGITS)
+ *   overflow    what to do with Infinity and NaN results: 'allow' them,
+ *               'error', or 'clamp' ±Infinity to ±Number.MAX_VALUE (NaN is
+ *               still an error)                       (NUMERIC_OVERFLOW)
+ */
+function getLimits(limits = {}) {
+    Object.keys(limits).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(NO_LIMITS, key)) {
+            throw new Error(`Unknown limit: ${key} (expected one of ${Object.keys(NO_LIMITS).join(', ')})`);
+        }
+    });
+    const merged = { ...NO_LIMITS, ...limits };
+    if (!OVERFLOW_POLICIES.includes(merged.overflow)) {
+        throw new Error(`Unknown overflow policy: ${merged.overflow} (expected one of ${OVERFLOW_POLICIES.join(', ')})`);
+    }
+    return merged;
+}
+
+// log2 of the largest BigInt in an exact value; 0 for anything else
+const exactLog2 = (x) => {
+    const log2 = (n) => {
+        const hex = bigAbs(n).toString(16);
+        const head = hex.slice(0, 12);
+        return Math.log2(parseInt(head, 16)) + 4 * (hex.length - head.length);
+    };
+    if (typeof x === 'bigint') return log2(x);
+    if (x instanceof Rational) return Math.max(log2(x.num), log2(x.den));
+    return 0;
+};
+
+const digitsOfLog2 = (log2) => (log2 > 0 ? Math.floor(log2 * Math.log10(2)) + 1 : 1);
+
+/**
+ * Enforces maxSteps, maxDigits and the overflow policy during evaluation.
+ * All statements of one evaluation share a meter, and so one step budget.
+ */
+function createMeter(limits = NO_LIMITS) {
+    let steps = 0;
+
+    const tooManyDigits = (message, at) =>
+        limitErrorAt(`${message} (limit ${limits.maxDigits})`, 'TOO_MANY_DIGITS', 'maxDigits', limits.maxDigits, at);
+
+    return {
+        unlimited: limits.maxSteps === Infinity && limits.maxDigits === Infinity && limits.overflow === 'allow',
+        reset: () => { steps = 0; },
+        step(at) {
+            steps++;
+            if (steps > limits.maxSteps) {
+                throw limitErrorAt(`Evaluation exceeded ${limits.maxSteps} steps`,
+                    'STEP_LIMIT_EXCEEDED', 'maxSteps', limits.maxSteps, at);
+            }
+        },
+        // Parses a number literal, rejecting exponents that alone exceed maxDigits
+        literal(raw, num, at) {
+            const match = /^(\d*)(?:\.(\d*))?e([+-]?\d+)$/i.exec(raw.replace(/_/g, ''));
+            if (num.exact && limits.maxDigits !== Infinity && match) {
+                const digits = match[1].length + (match[2] || '').length + Math.abs(Number(match[3]));
+                if (digits > limits.maxDigits) {
+                    throw tooManyDigits(`Number ${raw} would have about ${digits} digits`, at);
+                }
+            }
+            return num.fromLiteral(raw);
+        },
+        // Rejects base ^ exponent before computing it if the result is too long
+        power(base, exponent, num, at) {
+            if (!num.exact || limits.maxDigits === Infinity) return;
+            const log2 = exactLog2(base instanceof Quantity ? base.value : base);
+            const times = Math.abs(num.toNumber(exponent instanceof Quantity ? exponent.value : exponent));
+            if (log2 > 0 && times > 0) {
+                const digits = digitsOfLog2(log2 * times);
+                if (digits > limits.maxDigits) {
+                    const about = Number.isFinite(digits) ? `about ${digits}` : 'more than 10^308';
+                    throw tooManyDigits(`Result of ^ would have ${about} digits`, at);
+                }
+            }
+        },
+        // Returns `value`, clamped if the policy says so
+        check(value, at) {
+            const x = value instanceof Quantity ? value.value : value;
+            if (limits.maxDigits !== Infinity) {
+                const digits = digitsOfLog2(exactLog2(x));
+                if (digits > limits.maxDigits) {
+                    throw tooManyDigits(`Result has about ${digits} digits`, at);
+                }
+            }
+            if (limits.overflow === 'allow' || typeof x !== 'number' || Number.isFinite(x)) {
+                return value;
+            }
+            if (limits.overflow === 'error' || Number.isNaN(x)) {
+                throw limitErrorAt(`Numeric overflow: result is ${x}`, 'NUMERIC_OVERFLOW', 'overflow', limits.overflow, at);
+            }
+            const clamped = Math.sign(x) * Number.MAX_VALUE;
+            return value instanceof Quantity ? new Quantity(clamped, value.unit) : clamped;
+        }
+    };
+}
+
 // --- Logic ---
 
-const precedence = {
-    '+': 1,
-    '-': 1,
-    '*': 2,
-    '/': 2
-};
+// Follows C/JS: ?: < || < && < equality < relational < additive < multiplicative.
+// 'u-' and 'u+' are the prefix (unary) forms of '-' and '+'.
+// Unary binds tighter than '*' but looser than '^', so -2^2 = -(2^2).
+// '?' is the pending half of a conditional; once its ':' is read it becomes '?:'.
+// 'p%' is the postfix percent operator (50% = 0.5), applied before anything else.
+// 'in' is the postfix unit conversion, applied after everything else.
+const precedence = {
+    'in': 0,
+    '?': 1,
+    '?:': 1,
+    '||': 2,
+    '&&': 3,
+    '==': 4,
+    '!=': 4,
+    '<': 5,
+    '<=': 5,
+    '>': 5,
+    '>=': 5,
+    '+': 6,
+    '-': 6,
+    '*': 7,
+    '/': 7,
+    '%': 7,
+    'u-': 8,
+    'u+': 8,
+    '!': 8,
+    '^': 9,
+    'p%': 10
+};
+
+const rightAssociative = new Set(['^', 'u-', 'u+', '!', '?', '?:']);
+
+// Tokens are objects carrying their [start, end) character offsets:
+//   { type: 'number', value, raw }       { type: 'identifier' | 'function', name }
+//   { type: 'quantity', raw, parts: [{ raw, unit }] }   (5km, 2h 30min)
+//   { type: 'operator', value: '+' | 'u-' | '&&' | '?' | ... }
+//   { type: 'operator', value: 'in', unit }              (in km/h)
+//   { type: 'punctuation', value: '(' | ')' | ',' | '=' | ';' | ':' }
+//   { type: 'invalid', code, message }   (reported by validateTokens)
+
+const isOperator = (token) => typeof token === 'object' && token.type === 'operator';
+
+const isUnary = (token) => isOperator(token) && ['u-', 'u+', '!'].includes(token.value);
+
+const isPostfix = (token) => isOperator(token) && (token.value === 'p%' || token.value === 'in');
+
+// The symbol as written in the source: 'u-' => '-', 'p%' => '%'
+const operatorSymbol = (value) => (/^[up]./.test(value) ? value.slice(1) : value);
+
+const isNumber = (token) => typeof token === 'number' || (typeof token === 'object' && token.type === 'number');
+
+const isQuantity = (token) => typeof token === 'object' && token.type === 'quantity';
+
+const isIdentifier = (token) => typeof token === 'object' && token.type === 'identifier';
+
+const isFunction = (token) => typeof token === 'object' && token.type === 'function';
+
+const isPunctuation = (token, value) =>
+    token !== undefined && token.type === 'punctuation' && token.value === value;
+
+const checkDigits = (digits) => {
+    if (!Number.isInteger(digits)) {
+        throw new Error(`round() expects a whole number of digits, got ${digits}`);
+    }
+    return digits;
+};
+
+/**
+ * Function registry. Each entry declares its arity so calls can be
+ * checked before evaluation; maxArgs of Infinity means variadic.
+ */
+const functions = {
+    sqrt: { minArgs: 1, maxArgs: 1, fn: Math.sqrt },
+    exp: { minArgs: 1, maxArgs: 1, fn: Math.exp },
+    ln: { minArgs: 1, maxArgs: 1, fn: Math.log },
+    sin: { minArgs: 1, maxArgs: 1, fn: Math.sin },
+    cos: { minArgs: 1, maxArgs: 1, fn: Math.cos },
+    tan: { minArgs: 1, maxArgs: 1, fn: Math.tan },
+    abs: {
+        minArgs: 1,
+        maxArgs: 1,
+        fn: Math.abs,
+        exact: (num, x) => (num.compare(x, num.from(0)) < 0 ? num.neg(x) : x)
+    },
+    min: {
+        minArgs: 1,
+        maxArgs: Infinity,
+        fn: Math.min,
+        exact: (num, ...xs) => xs.reduce((m, x) => (num.compare(x, m) < 0 ? x : m))
+    },
+    max: {
+        minArgs: 1,
+        maxArgs: Infinity,
+        fn: Math.max,
+        exact: (num, ...xs) => xs.reduce((m, x) => (num.compare(x, m) > 0 ? x : m))
+    },
+    // Negative digits round to tens, hundreds, ...: round(1234, -2) = 1200
+    round: {
+        minArgs: 1,
+        maxArgs: 2,
+        fn: (x, digits = 0) => {
+            if (checkDigits(digits) < 0) {
+                const unit = Math.pow(10, -digits);
+                return Math.round(x / unit) * unit;
+            }
+            const factor = Math.pow(10, digits);
+            return Math.round(x * factor) / factor;
+        },
+        exact: (num, x, digits) => num.round(x, digits === undefined ? 0 : checkDigits(num.toNumber(digits)))
+    }
+};
+
+/**
+ * Registers (or replaces) a function callable from expressions.
+ * Arity defaults to the number of declared parameters of `fn`.
+ * `fn` always receives and returns plain JS numbers; in the bigint and
+ * rational modes its arguments and result are converted.
+ */
+function registerFunction(name, fn, { minArgs = fn.length, maxArgs = minArgs } = {}) {
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new Error(`Invalid function name: ${name}`);
+    }
+    if (typeof fn !== 'function') {
+        throw new Error(`Function '${name}' must be implemented by a JavaScript function`);
+    }
+    functions[name] = { minArgs, maxArgs, fn };
+}
+
+// --- Numeric modes ---
+
+const bigAbs = (n) => (n < 0n ? -n : n);
+
+const bigGcd = (a, b) => {
+    a = bigAbs(a);
+    b = bigAbs(b);
+    while (b) [a, b] = [b, a % b];
+    return a;
+};
+
+/**
+ * Exact fraction num/den of two BigInts, always reduced with den > 0.
+ */
+class Rational {
+    constructor(num, den = 1n) {
+        if (den === 0n) {
+            throw new Error("Division by zero");
+        }
+        if (den < 0n) {
+            num = -num;
+            den = -den;
+        }
+        const g = bigGcd(num, den) || 1n;
+        this.num = num / g;
+        this.den = den / g;
+    }
+
+    toString() {
+        return this.den === 1n ? `${this.num}` : `${this.num}/${this.den}`;
+    }
+
+    valueOf() {
+        return Number(this.num) / Number(this.den);
+    }
+}
+
+/**
+ * Parses a decimal literal ("12", "0.25", "1e-3") into an exact Rational.
+ */
+function parseDecimal(raw) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(raw);
+    if (!match || (match[2] + (match[3] || '')).length === 0) {
+        throw new Error(`Invalid number: ${raw}`);
+    }
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const shift = Number(exponent) - fraction.length;
+    let num = BigInt(whole + fraction);
+    let den = 1n;
+    if (shift >= 0) {
+        num *= 10n ** BigInt(shift);
+    } else {
+        den = 10n ** BigInt(-shift);
+    }
+    return new Rational(sign === '-' ? -num : num, den);
+}
+
+/**
+ * Parses any number literal accepted by tokenize (decimal, 0x/0o/0b, with
+ * '_' separators) into an exact Rational.
+ */
+function parseLiteral(raw) {
+    const clean = raw.replace(/_/g, '');
+    if (/^0[xob]/i.test(clean)) {
+        return new Rational(BigInt(clean));
+    }
+    return parseDecimal(clean);
+}
+
+const toRational = (value) => {
+    if (value instanceof Rational) return value;
+    if (typeof value === 'bigint') return new Rational(value);
+    if (!Number.isFinite(value)) {
+        throw new Error(`Cannot represent ${value} exactly`);
+    }
+    return parseDecimal(String(value));
+};
+
+// Arithmetic shared by the three JS-double modes; they only differ in '/' and '%'
+const doubleArithmetic = {
+    exact: false,
+    from: (value) => Number(value),
+    fromLiteral: (raw) => Number(raw.replace(/_/g, '')),
+    toNumber: (x) => x,
+    isZero: (x) => x === 0,
+    compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    neg: (a) => -a,
+    pow: (a, b) => Math.pow(a, b),
+    percent: (a) => a / 100
+};
+
+/**
+ * Numeric semantics selectable with the `mode` option of evaluateExpression.
+ * Each mode maps literals and operators onto its own value type; `exact`
+ * modes never round through JS doubles.
+ */
+const numericModes = {
+    // IEEE-754 doubles, true division
+    float: {
+        ...doubleArithmetic,
+        div: (a, b) => a / b,
+        mod: (a, b) => a % b
+    },
+    // C-style: division truncates toward zero, remainder has the dividend's sign
+    int: {
+        ...doubleArithmetic,
+        integerDivision: true,
+        div: (a, b) => Math.trunc(a / b),
+        mod: (a, b) => a % b
+    },
+    // Python-style: division floors, remainder has the divisor's sign
+    floor: {
+        ...doubleArithmetic,
+        integerDivision: true,
+        div: (a, b) => Math.floor(a / b),
+        mod: (a, b) => ((a % b) + b) % b
+    },
+    // Arbitrary-precision integers, truncating division
+    bigint: {
+        exact: true,
+        integerDivision: true,
+        from: (value) => {
+            if (typeof value === 'bigint') return value;
+            const r = toRational(value);
+            if (r.den !== 1n) {
+                throw new Error(`Non-integer value in bigint mode: ${value}`);
+            }
+            return r.num;
+        },
+        fromLiteral: (raw) => {
+            const r = parseLiteral(raw);
+            if (r.den !== 1n) {
+                throw new Error(`Non-integer value in bigint mode: ${raw}`);
+            }
+            return r.num;
+        },
+        toNumber: (x) => Number(x),
+        isZero: (x) => x === 0n,
+        compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+        add: (a, b) => a + b,
+        sub: (a, b) => a - b,
+        mul: (a, b) => a * b,
+        div: (a, b) => a / b,
+        mod: (a, b) => a % b,
+        neg: (a) => -a,
+        pow: (a, b) => {
+            if (b < 0n) {
+                throw new Error("Negative exponent in bigint mode");
+            }
+            return a ** b;
+        },
+        percent: (a) => {
+            if (a % 100n !== 0n) {
+                throw new Error(`Non-integer value in bigint mode: ${a}%`);
+            }
+            return a / 100n;
+        },
+        // Already whole; negative digits round to a multiple of 10^-digits, half up
+        round: (x, digits = 0) => {
+            if (digits >= 0) return x;
+            const unit = 10n ** BigInt(-digits);
+            const twice = 2n * x + unit;
+            let floored = twice / (2n * unit);
+            if (twice < 0n && floored * 2n * unit !== twice) floored -= 1n;
+            return floored * unit;
+        }
+    },
+    // Exact fractions; results print as "7/3"
+    rational: {
+        exact: true,
+        from: toRational,
+        fromLiteral: parseLiteral,
+        toNumber: (x) => x.valueOf(),
+        isZero: (x) => x.num === 0n,
+        compare: (a, b) => {
+            const diff = a.num * b.den - b.num * a.den;
+            return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+        },
+        add: (a, b) => new Rational(a.num * b.den + b.num * a.den, a.den * b.den),
+        sub: (a, b) => new Rational(a.num * b.den - b.num * a.den, a.den * b.den),
+        mul: (a, b) => new Rational(a.num * b.num, a.den * b.den),
+        div: (a, b) => new Rational(a.num * b.den, a.den * b.num),
+        // Truncating remainder: a - b * trunc(a / b)
+        mod: (a, b) => {
+            const q = (a.num * b.den) / (a.den * b.num);
+            return new Rational(a.num * b.den - q * b.num * a.den, a.den * b.den);
+        },
+        neg: (a) => new Rational(-a.num, a.den),
+        percent: (a) => new Rational(a.num, a.den * 100n),
+        pow: (a, b) => {
+            if (b.den !== 1n) {
+                throw new Error("Non-integer exponent in rational mode");
+            }
+            if (b.num < 0n) {
+                return new Rational(a.den ** -b.num, a.num ** -b.num);
+            }
+            return new Rational(a.num ** b.num, a.den ** b.num);
+        },
+        // Half rounds up, like Math.round: floor(x * 10^digits + 1/2) / 10^digits
+        round: (x, digits = 0) => {
+            const up = digits > 0 ? 10n ** BigInt(digits) : 1n;
+            const down = digits < 0 ? 10n ** BigInt(-digits) : 1n;
+            const scaled = new Rational(2n * x.num * up + x.den * down, 2n * x.den * down);
+            let floored = scaled.num / scaled.den;
+            if (scaled.num < 0n && floored * scaled.den !== scaled.num) floored -= 1n;
+            return new Rational(floored * down, up);
+        }
+    }
+};
+
+// --- Units ---
+
+const R = numericModes.rational;
+const ONE = new Rational(1n);
+
+/**
+ * Unit registry. Each unit is `factor` (an exact Rational) times the base
+ * unit of its `dimension`: lengths are in metres, durations in seconds.
+ * Every currency starts out as a dimension of its own, since exchange rates
+ * change; registering a rate makes two currencies convertible.
+ */
+const units = {};
+
+/**
+ * Adds a unit usable in literals ("5km") and after 'in'. Without `base`
+ * the unit starts a new dimension, otherwise it is `factor` times `base`:
+ *   registerUnit('EUR', 1.08, 'USD');
+ */
+function registerUnit(name, factor = 1, base) {
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+        throw new Error(`Invalid unit name: ${name}`);
+    }
+    if (base === undefined) {
+        units[name] = { dimension: name, factor: ONE };
+        return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(units, base)) {
+        throw new Error(`Unknown unit: ${base}`);
+    }
+    units[name] = { dimension: units[base].dimension, factor: R.mul(toRational(factor), units[base].factor) };
+}
+
+registerUnit('m');
+[['mm', 0.001], ['cm', 0.01], ['km', 1000], ['in', 0.0254], ['ft', 0.3048], ['yd', 0.9144], ['mi', 1609.344]]
+    .forEach(([name, factor]) => registerUnit(name, factor, 'm'));
+registerUnit('s');
+[['ms', 0.001], ['min', 60], ['h', 3600], ['d', 86400], ['wk', 604800]]
+    .forEach(([name, factor]) => registerUnit(name, factor, 's'));
+['USD', 'EUR', 'GBP', 'INR', 'JPY'].forEach(name => registerUnit(name));
+
+/**
+ * A number with a unit. `unit` maps unit names to non-zero integer
+ * exponents, so 5 km/h is new Quantity(5, { km: 1, h: -1 }); `value` has
+ * the type of the numeric mode it was computed in.
+ */
+class Quantity {
+    constructor(value, unit) {
+        this.value = value;
+        this.unit = unit;
+    }
+
+    toString() {
+        return `${this.value} ${formatUnit(this.unit)}`;
+    }
+}
+
+// { km: 1, h: -1 } => "km/h", { m: 2 } => "m^2", { kg: 1, m: -1, s: -2 } => "kg/m/s^2"
+function formatUnit(unit) {
+    const entries = Object.entries(unit);
+    if (entries.length === 0) return 'a plain number';
+    const part = ([name, exp]) => (Math.abs(exp) === 1 ? name : `${name}^${Math.abs(exp)}`);
+    const top = entries.filter(([, exp]) => exp > 0).map(part);
+    const bottom = entries.filter(([, exp]) => exp < 0).map(part);
+    return [top.join('*') || '1', ...bottom].join('/');
+}
+
+/**
+ * Parses a unit as written after 'in' ("mi", "km/h", "m^2", "kg*m/s^2"),
+ * reading '*' and '/' left to right.
+ */
+function parseUnit(spec) {
+    const unit = {};
+    let sign = 1;
+    spec.split(/\s*([*/])\s*/).forEach((part, i) => {
+        if (i % 2 === 1) {
+            sign = part === '/' ? -1 : 1;
+            return;
+        }
+        const [, name, exp = '1'] = /^(\w+)(?:\s*\^\s*(-?\d+))?$/.exec(part);
+        if (!Object.prototype.hasOwnProperty.call(units, name)) {
+            throw new Error(`Unknown unit: ${name}`);
+        }
+        unit[name] = (unit[name] || 0) + sign * Number(exp);
+        if (unit[name] === 0) delete unit[name];
+    });
+    return unit;
+}
+
+// Exponent of each base dimension: { km: 1, h: -1 } => { m: 1, s: -1 }
+const dimensionsOf = (unit) => {
+    const dimensions = {};
+    Object.entries(unit).forEach(([name, exp]) => {
+        const { dimension } = units[name];
+        dimensions[dimension] = (dimensions[dimension] || 0) + exp;
+        if (dimensions[dimension] === 0) delete dimensions[dimension];
+    });
+    return dimensions;
+};
+
+const sameDimensions = (a, b) => {
+    const da = dimensionsOf(a);
+    const db = dimensionsOf(b);
+    const keys = new Set([...Object.keys(da), ...Object.keys(db)]);
+    return [...keys].every(key => da[key] === db[key]);
+};
+
+// Size of a unit in base units, as an exact Rational
+const scaleOf = (unit) => Object.entries(unit).reduce(
+    (scale, [name, exp]) => R.mul(scale, R.pow(units[name].factor, new Rational(BigInt(exp)))),
+    ONE
+);
+
+/**
+ * Multiplies `value` by the exact Rational `ratio`, converting from unit
+ * `from` to `to`, under numeric mode `num`. Modes with integer division would
+ * round the result, so there an inexact conversion is an INEXACT_CONVERSION
+ * error at `at` instead.
+ */
+function scaleValue(value, ratio, num, at, from, to) {
+    if (ratio.num === ratio.den) return value;
+    const scaled = num.div(num.mul(value, num.fromLiteral(`${ratio.num}`)), num.fromLiteral(`${ratio.den}`));
+    if (num.integerDivision && (typeof value !== 'number' || Number.isFinite(value))) {
+        const exact = R.mul(toRational(value), ratio);
+        if (R.compare(exact, toRational(scaled)) !== 0) {
+            throw errorAt(
+                `Inexact conversion from ${formatUnit(from)} to ${formatUnit(to)}: ${exact} would be truncated ` +
+                    '(use float or rational mode)',
+                'INEXACT_CONVERSION',
+                at
+            );
+        }
+    }
+    return scaled;
+}
+
+const convertValue = (value, from, to, num, at) =>
+    scaleValue(value, R.div(scaleOf(from), scaleOf(to)), num, at, from, to);
+
+// Units that cancel out leave a plain number
+const makeQuantity = (value, unit) => (Object.keys(unit).length === 0 ? value : new Quantity(value, unit));
+
+const UNIT_VERBS = { '+': 'add', '-': 'subtract', '%': 'take the remainder of' };
+
+/**
+ * applyBinary for operands of which at least one has a unit.
+ * Sums, remainders and comparisons need equal dimensions and are computed in
+ * the finer of the two units (5km + 300m = 5300 m). Products and quotients
+ * combine the units, converting between units of the same dimension
+ * (90km / 45min = 2 km/min, 2 km/min * 1h = 120 km).
+ */
+function applyQuantity(operator, a, b, num, at) {
+    const left = a instanceof Quantity ? a : new Quantity(a, {});
+    const right = b instanceof Quantity ? b : new Quantity(b, {});
+
+    if (operator === '*' || operator === '/') {
+        const sign = operator === '*' ? 1 : -1;
+        const unit = { ...left.unit };
+        let value = applyBinary(operator, left.value, right.value, num, at);
+        Object.entries(right.unit).forEach(([name, exp]) => {
+            const target = Object.keys(unit).find(other => units[other].dimension === units[name].dimension) || name;
+            if (target !== name) {
+                const ratio = R.div(units[name].factor, units[target].factor);
+                value = scaleValue(value, R.pow(ratio, new Rational(BigInt(sign * exp))), num, at,
+                    { [name]: sign * exp }, { [target]: sign * exp });
+            }
+            unit[target] = (unit[target] || 0) + sign * exp;
+            if (unit[target] === 0) delete unit[target];
+        });
+        return makeQuantity(value, unit);
+    }
+
+    if (operator === '^') {
+        if (Object.keys(right.unit).length > 0) {
+            throw errorAt(`Exponent must be a plain number, got ${formatUnit(right.unit)}`, 'INCOMPATIBLE_UNITS', at);
+        }
+        const power = num.toNumber(right.value);
+        const unit = {};
+        Object.entries(left.unit).forEach(([name, exp]) => {
+            if (!Number.isInteger(exp * power)) {
+                throw errorAt(`Cannot raise ${formatUnit(left.unit)} to the power ${power}`, 'INCOMPATIBLE_UNITS', at);
+            }
+            if (exp * power !== 0) unit[name] = exp * power;
+        });
+        return makeQuantity(applyBinary('^', left.value, right.value, num, at), unit);
+    }
+
+    if (!sameDimensions(left.unit, right.unit)) {
+        const verb = UNIT_VERBS[operator] || 'compare';
+        throw errorAt(
+            `Incompatible units: cannot ${verb} ${formatUnit(left.unit)} and ${formatUnit(right.unit)}`,
+            'INCOMPATIBLE_UNITS',
+            at
+        );
+    }
+    const unit = R.compare(scaleOf(left.unit), scaleOf(right.unit)) <= 0 ? left.unit : right.unit;
+    const result = applyBinary(
+        operator,
+        convertValue(left.value, left.unit, unit, num, at),
+        convertValue(right.value, right.unit, unit, num, at),
+        num,
+        at
+    );
+    return typeof result === 'boolean' ? result : makeQuantity(result, unit);
+}
+
+/**
+ * The 'in' operator: expresses `value` in `unit`, which must have the same
+ * dimensions ("(5km + 300m) in mi").
+ */
+function convertQuantity(value, unit, num, at) {
+    const from = value instanceof Quantity ? value.unit : {};
+    if (!sameDimensions(from, unit)) {
+        throw errorAt(
+            `Incompatible units: cannot convert ${formatUnit(from)} to ${formatUnit(unit)}`,
+            'INCOMPATIBLE_UNITS',
+            at
+        );
+    }
+    return new Quantity(convertValue(value instanceof Quantity ? value.value : value, from, unit, num, at), unit);
+}
+
+// The value of a quantity literal such as "2h 30min"; `meter` parses the numbers
+const quantityLiteral = (parts, num, at, meter) => parts
+    .map(({ raw, unit }) => new Quantity(meter.literal(raw, num, at), { [unit]: 1 }))
+    .reduce((sum, part) => applyQuantity('+', sum, part, num, at));
+
+/**
+ * Function calls with quantity arguments: abs and round keep the unit, min
+ * and max work in the finest unit among their arguments, like sums, and
+ * sqrt halves the exponents (sqrt(4m * 9m) = 6 m). Other functions need
+ * plain numbers.
+ */
+function callWithUnits(name, args, num, at) {
+    const [first, ...rest] = args;
+    const plain = (arg) => !(arg instanceof Quantity);
+    const unit = plain(first) ? {} : first.unit;
+
+    if ((name === 'abs' || name === 'round') && !plain(first) && rest.every(plain)) {
+        return new Quantity(callFunction(name, [first.value, ...rest], num, at), unit);
+    }
+    if (name === 'min' || name === 'max') {
+        const finest = args
+            .map(arg => (plain(arg) ? {} : arg.unit))
+            .reduce((a, b) => (R.compare(scaleOf(b), scaleOf(a)) < 0 ? b : a));
+        const values = args.map(arg => convertQuantity(arg, finest, num, at).value);
+        return makeQuantity(callFunction(name, values, num, at), finest);
+    }
+    if (name === 'sqrt' && Object.values(unit).every(exp => exp % 2 === 0)) {
+        const root = {};
+        Object.entries(unit).forEach(([unitName, exp]) => { root[unitName] = exp / 2; });
+        return makeQuantity(callFunction(name, [first.value], num, at), root);
+    }
+    const { unit: offending } = args.find(arg => !plain(arg));
+    throw errorAt(`${name}() does not accept a quantity in ${formatUnit(offending)}`, 'INCOMPATIBLE_UNITS', at);
+}
+
+const DEFAULT_MODE = 'int';
+
+function getNumericMode(mode = DEFAULT_MODE) {
+    if (!Object.prototype.hasOwnProperty.call(numericModes, mode)) {
+        throw new Error(`Unknown numeric mode: ${mode} (expected one of ${Object.keys(numericModes).join(', ')})`);
+    }
+    return numericModes[mode];
+}
+
+/**
+ * Calls a registered function under the given numeric mode. Exact modes use
+ * the function's `exact` implementation when it has one, otherwise arguments
+ * are converted to JS numbers and the result back to the mode's type.
+ * `at` (a token or AST node) locates unit errors.
+ */
+function callFunction(name, args, num, at) {
+    const { fn, exact } = functions[name];
+    args = args.map(arg => toNumeric(arg, num));
+    if (args.some(arg => arg instanceof Quantity)) {
+        return callWithUnits(name, args, num, at);
+    }
+    try {
+        if (num.exact && exact) {
+            return exact(num, ...args);
+        }
+        return num.from(fn(...args.map(num.toNumber)));
+    } catch (err) {
+        // Locate errors from function bodies in compiled code too
+        if (err instanceof ExpressionError) throw err;
+        throw errorAt(err.message, 'EVALUATION_ERROR', at);
+    }
+}
+
+const describeArity = ({ minArgs, maxArgs }) => {
+    if (minArgs === maxArgs) return `${minArgs}`;
+    if (maxArgs === Infinity) return `at least ${minArgs}`;
+    return `${minArgs} to ${maxArgs}`;
+};
+
+const RADIX_LITERALS = {
+    x: { name: 'hex', digit: /[0-9a-f]/i },
+    o: { name: 'octal', digit: /[0-7]/ },
+    b: { name: 'binary', digit: /[01]/ }
+};
+
+/**
+ * Reads the number literal starting at `start`. Returns { raw, end } or,
+ * for a malformed literal, { raw, end, error } describing what is wrong.
+ *   decimal:  12  1_000  .5  3.  6.02e23  1E-3
+ *   radix:    0xFF  0o17  0b1010_0101
+ */
+function lexNumber(expr, start) {
+    const radix = /^0([xob])/i.exec(expr.slice(start, start + 2));
+    if (radix) {
+        const { name, digit } = RADIX_LITERALS[radix[1].toLowerCase()];
+        let end = start + 2;
+        while (end < expr.length && /[\w.]/.test(expr[end])) end++;
+        const raw = expr.slice(start, end);
+        const digits = raw.slice(2);
+        const bad = [...digits].find(c => c !== '_' && !digit.test(c));
+        if (digits.replace(/_/g, '') === '') {
+            return { raw, end, error: `Invalid ${name} literal ${raw}: no digits` };
+        }
+        if (bad) {
+            return { raw, end, error: `Invalid digit '${bad}' in ${name} literal ${raw}` };
+        }
+        if (/^_|_$|__/.test(digits)) {
+            return { raw, end, error: `Misplaced '_' digit separator in ${raw}` };
+        }
+        return { raw, end };
+    }
+
+    // Take everything that could belong to the literal, then check its shape
+    let end = start;
+    while (end < expr.length && /[\d_.]/.test(expr[end])) end++;
+    if (/[eE]/.test(expr[end] || '') && /^[+-]?[\d_]/.test(expr.slice(end + 1))) {
+        end += /[+-]/.test(expr[end + 1]) ? 2 : 1;
+        while (end < expr.length && /[\d_.]/.test(expr[end])) end++;
+    } else if (/[eE]/.test(expr[end] || '') && !/\w/.test(expr[end + 1] || '')) {
+        return { raw: expr.slice(start, end + 1), end: end + 1, error: `Missing exponent digits in ${expr.slice(start, end + 1)}` };
+    }
+    const raw = expr.slice(start, end);
+    const [mantissa, exponent] = raw.split(/[eE]/);
+
+    if (!/\d/.test(mantissa)) {
+        return { raw, end, error: `Invalid number: ${raw}` };
+    }
+    if ((mantissa.match(/\./g) || []).length > 1) {
+        return { raw, end, error: `Invalid number ${raw}: more than one decimal point` };
+    }
+    if (exponent !== undefined && exponent.includes('.')) {
+        return { raw, end, error: `Invalid number ${raw}: exponent must be an integer` };
+    }
+    const groups = raw.split(/[.eE+-]/).filter((group, i) => group !== '' || i === 0);
+    if (groups.some(group => /^_|_$|__/.test(group))) {
+        return { raw, end, error: `Misplaced '_' digit separator in ${raw}` };
+    }
+    return { raw, end };
+}
+
+/**
+ * Reads a number literal with a unit attached, starting at `start`, including
+ * compound quantities of one dimension ("2h 30min", "5ft 3in"). Returns
+ * null when the number has no unit, otherwise { raw, end, parts } or, for a
+ * bad unit, { raw, end, code, error }.
+ */
+function lexQuantity(expr, start) {
+    const parts = [];
+    let pos = start;
+    let end = start;
+
+    for (;;) {
+        const number = lexNumber(expr, pos);
+        const word = !number.error && /^[A-Za-z_]\w*/.exec(expr.slice(number.end));
+        if (!word) break;
+        const unit = word[0];
+        end = number.end + unit.length;
+        if (!Object.prototype.hasOwnProperty.call(units, unit)) {
+            return { raw: expr.slice(start, end), end, code: 'UNKNOWN_UNIT', error: `Unknown unit: ${unit}` };
+        }
+        if (parts.length > 0 && units[unit].dimension !== units[parts[0].unit].dimension) {
+            return {
+                raw: expr.slice(start, end),
+                end,
+                code: 'INCOMPATIBLE_UNITS',
+                error: `Cannot combine ${parts[0].unit} and ${unit} in one quantity`
+            };
+        }
+        parts.push({ raw: number.raw, unit });
+        // Another number right after continues the quantity
+        const gap = /^\s*(?=[\d.])/.exec(expr.slice(end));
+        if (!gap) break;
+        pos = end + gap[0].length;
+    }
+
+    return parts.length > 0 ? { raw: expr.slice(start, end), end, parts } : null;
+}
+
+// Unit after 'in': names joined by '*' or '/', each with an optional integer power
+const UNIT_SPEC = /^\s*([A-Za-z_]\w*(?:\s*\^\s*-?\d+)?(?:\s*[*/]\s*[A-Za-z_]\w*(?:\s*\^\s*-?\d+)?)*)/;
+
+/**
+ * True when the '%' at `i` is a postfix percent rather than modulo: it is
+ * written directly after an operand and no operand follows it ("50%",
+ * "(a + b)% * 2"). "10 % 3" and "10%3" are remainders.
+ */
+function isPercentSign(expr, i, previous) {
+    const afterOperand = previous !== undefined && previous.end === i &&
+        (isNumber(previous) || isQuantity(previous) || isIdentifier(previous) || isPunctuation(previous, ')') || isPostfix(previous));
+    return afterOperand && !/^\s*[\w.(]/.test(expr.slice(i + 1));
+}
+
+/**
+ * Tokenizes the expression string into numbers, names, operators and punctuation.
+ * Handles:
+ * - Decimal numbers with exponents and '_' digit separators (6.02e23, 1_000)
+ * - Hex, octal and binary literals (0xFF, 0o17, 0b1010)
+ * - Quantities: numbers with a unit attached (5km, 2h 30min) and the
+ *   'in' conversion after an operand (... in km/h)
+ * - Postfix percent (50% = 0.5), emitted as 'p%'
+ * - Unary plus/minus, emitted as 'u+' / 'u-'
+ * - '**' as an alias for '^'
+ * - Identifiers (variable names), '=' and ';'
+ * - Function calls: a name directly followed by '(' and ',' between arguments
+ * - Comparison (< <= > >= == !=), logical (&& || !) and conditional (? :) operators
+ * - Spaces
+ * Unknown characters and malformed numbers become 'invalid' tokens so that
+ * validateTokens can report them together with any other problems.
+ */
+function tokenize(expr) {
+    const tokens = [];
+    let expectOperand = true; // True where '+'/'-' must be unary
+
+    for (let i = 0; i < expr.length; i++) {
+        const char = expr[i];
+        const start = i;
+
+        if (/\s/.test(char)) continue; // Skip spaces
+
+        if (/[\d.]/.test(char)) {
+            const { raw, end, error } = lexNumber(expr, start);
+            const quantity = !error && lexQuantity(expr, start);
+            if (error) {
+                tokens.push({ type: 'invalid', code: 'INVALID_NUMBER', message: error, start, end });
+            } else if (quantity && quantity.error) {
+                tokens.push({ type: 'invalid', code: quantity.code, message: quantity.error, start, end: quantity.end });
+            } else if (quantity) {
+                tokens.push({ type: 'quantity', raw: quantity.raw, parts: quantity.parts, start, end: quantity.end });
+            } else {
+                tokens.push({ type: 'number', value: Number(raw.replace(/_/g, '')), raw, start, end });
+            }
+            i = (quantity ? quantity.end : end) - 1;
+            expectOperand = false;
+        } else if (/[A-Za-z_]/.test(char)) {
+            while (i + 1 < expr.length && /\w/.test(expr[i + 1])) i++;
+            const name = expr.slice(start, i + 1);
+            if (name === 'in' && !expectOperand) {
+                // Unit conversion: "(5km + 300m) in mi"
+                const spec = UNIT_SPEC.exec(expr.slice(i + 1));
+                if (!spec) {
+                    tokens.push({ type: 'invalid', code: 'INVALID_UNIT', message: "Expected a unit after 'in'", start, end: i + 1 });
+                } else {
+                    const end = i + 1 + spec[0].length;
+                    try {
+                        tokens.push({ type: 'operator', value: 'in', unit: parseUnit(spec[1]), start, end });
+                    } catch (err) {
+                        tokens.push({ type: 'invalid', code: 'UNKNOWN_UNIT', message: err.message, start: end - spec[1].length, end });
+                    }
+                    i = end - 1;
+                }
+            } else {
+                const isCall = /^\s*\(/.test(expr.slice(i + 1));
+                tokens.push({ type: isCall ? 'function' : 'identifier', name, start, end: i + 1 });
+            }
+            expectOperand = false;
+        } else if ('+-*/%^'.includes(char)) {
+            let value = char;
+            if (char === '*' && expr[i + 1] === '*') {
+                value = '^';
+                i++;
+            } else if ((char === '-' || char === '+') && expectOperand) {
+                value = `u${char}`;
+            } else if (char === '%' && isPercentSign(expr, i, tokens[tokens.length - 1])) {
+                value = 'p%';
+            }
+            tokens.push({ type: 'operator', value, start, end: i + 1 });
+            expectOperand = value !== 'p%';
+        } else if (/^(<=|>=|==|!=|&&|\|\|)/.test(expr.slice(i, i + 2))) {
+            tokens.push({ type: 'operator', value: expr.slice(i, i + 2), start, end: i + 2 });
+            i++;
+            expectOperand = true;
+        } else if ('<>!?'.includes(char)) {
+            tokens.push({ type: 'operator', value: char, start, end: i + 1 });
+            expectOperand = true;
+        } else if ('(),=;:'.includes(char)) {
+            tokens.push({ type: 'punctuation', value: char, start, end: i + 1 });
+            expectOperand = char !== ')';
+        } else {
+            tokens.push({ type: 'invalid', code: 'INVALID_CHARACTER', message: `Invalid character: '${char}'`, start, end: i + 1 });
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * Splits a token array into statements separated by ';'.
+ * Empty statements (e.g. a trailing ';') are dropped.
+ */
+function splitStatements(tokens) {
+    const statements = [[]];
+
+    tokens.forEach(token => {
+        if (isPunctuation(token, ';')) {
+            statements.push([]);
+        } else {
+            statements[statements.length - 1].push(token);
+        }
+    });
+
+    return statements.filter(statement => statement.length > 0);
+}
+
+/**
+ * Strips leading assignment targets from a statement.
+ * "a = b = 2 + 3" yields the identifier tokens a and b as targets and the
+ * tokens of "2 + 3".
+ */
+function parseAssignment(tokens) {
+    const targets = [];
+    let start = 0;
+
+    while (isIdentifier(tokens[start]) && isPunctuation(tokens[start + 1], '=')) {
+        targets.push(tokens[start]);
+        start += 2;
+    }
+
+    return { targets, tokens: tokens.slice(start) };
+}
+
+/**
+ * Validates the token array for common errors, including unknown
+ * functions and argument count mismatches.
+ * Validation recovers after each problem and throws an ExpressionError
+ * listing everything it found (see throwErrors).
+ */
+function validateTokens(tokens) {
+    if (tokens.length === 0) {
+        throw new ExpressionError("Empty expression", { code: 'EMPTY_EXPRESSION' });
+    }
+
+    const errors = [];
+    const report = (message, code, token) => errors.push(errorAt(message, code, token));
+    const describe = (token) => {
+        if (isNumber(token)) return 'number';
+        if (isQuantity(token)) return `quantity ${token.raw}`;
+        if (isIdentifier(token)) return `identifier '${token.name}'`;
+        if (isFunction(token)) return `function '${token.name}'`;
+        return `'${operatorSymbol(token.value)}'`;
+    };
+
+    let lastTokenType = null; // 'number', 'operator', 'unary', 'open', 'close', 'function', 'comma'
+    let lastOperator = null;
+    // One frame per open parenthesis; `fn` is set when it opens a call
+    const frames = [];
+    // '?' tokens still waiting for their ':', with the paren depth they appeared at
+    const conditionals = [];
+    const reportUnfinishedConditionals = () => {
+        while (conditionals.length && conditionals[conditionals.length - 1].depth === frames.length) {
+            report("Missing ':' in conditional expression", 'INCOMPLETE_CONDITIONAL', conditionals.pop().token);
+        }
+    };
+    const expectsOperand = () => ['operator', 'unary', 'open', 'comma'].includes(lastTokenType);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === 'invalid') {
+            report(token.message, token.code, token);
+            if (['INVALID_NUMBER', 'UNKNOWN_UNIT', 'INCOMPATIBLE_UNITS'].includes(token.code)) {
+                lastTokenType = 'number'; // Still stands in for an operand
+            }
+        } else if (isNumber(token) || isQuantity(token) || isIdentifier(token)) {
+            if (lastTokenType === 'number' || lastTokenType === 'close') {
+                report(`Unexpected ${describe(token)}`, 'UNEXPECTED_TOKEN', token);
+            }
+            lastTokenType = 'number';
+        } else if (isPunctuation(token, '=')) {
+            report("Invalid assignment: left-hand side must be a variable name", 'INVALID_ASSIGNMENT', token);
+            lastTokenType = 'operator';
+            lastOperator = token;
+        } else if (isFunction(token)) {
+            if (!Object.prototype.hasOwnProperty.call(functions, token.name)) {
+                report(`Unknown function: ${token.name}`, 'UNKNOWN_FUNCTION', token);
+            }
+            if (lastTokenType === 'number' || lastTokenType === 'close') {
+                report(`Unexpected ${describe(token)}`, 'UNEXPECTED_TOKEN', token);
+            }
+            lastTokenType = 'function';
+        } else if (isPunctuation(token, '(')) {
+            if (lastTokenType === 'number' || lastTokenType === 'close') {
+                report("Unexpected '('", 'UNEXPECTED_TOKEN', token);
+            }
+            frames.push({ open: token, fn: lastTokenType === 'function' ? tokens[i - 1] : null, argCount: 0 });
+            lastTokenType = 'open';
+        } else if (isPunctuation(token, ')')) {
+            if (frames.length === 0) {
+                // Skip it, as if it was never there
+                report("Unmatched ')'", 'UNMATCHED_PAREN', token);
+                continue;
+            }
+            reportUnfinishedConditionals();
+            const frame = frames.pop();
+            if (frame.fn && lastTokenType === 'open') {
+                // Empty argument list: f()
+            } else if (expectsOperand()) {
+                report("Unexpected ')': missing operand", 'MISSING_OPERAND', token);
+            } else if (frame.fn) {
+                frame.argCount++;
+            }
+            const spec = frame.fn && functions[frame.fn.name];
+            if (spec && (frame.argCount < spec.minArgs || frame.argCount > spec.maxArgs)) {
+                errors.push(new ExpressionError(
+                    `Arity mismatch: ${frame.fn.name}() expects ${describeArity(spec)} ` +
+                    `argument(s), got ${frame.argCount}`,
+                    { code: 'ARITY_MISMATCH', offset: frame.fn.start, length: token.end - frame.fn.start }
+                ));
+            }
+            lastTokenType = 'close';
+        } else if (isPunctuation(token, ',')) {
+            reportUnfinishedConditionals();
+            const frame = frames[frames.length - 1];
+            if (!frame || !frame.fn) {
+                report("Unexpected ',' outside of a function call", 'MISPLACED_COMMA', token);
+            } else {
+                if (expectsOperand()) {
+                    report("Missing argument before ','", 'MISSING_OPERAND', token);
+                }
+                frame.argCount++;
+            }
+            lastTokenType = 'comma';
+        } else if (isPunctuation(token, ':')) {
+            const pending = conditionals[conditionals.length - 1];
+            if (!pending || pending.depth !== frames.length) {
+                report("Unexpected ':' without a matching '?'", 'UNEXPECTED_TOKEN', token);
+            } else {
+                conditionals.pop();
+            }
+            if (expectsOperand()) {
+                report("Missing operand before ':'", 'MISSING_OPERAND', token);
+            }
+            lastTokenType = 'operator';
+            lastOperator = token;
+        } else if (isUnary(token)) {
+            lastTokenType = 'unary';
+            lastOperator = token;
+        } else if (isPostfix(token)) {
+            if (lastTokenType !== 'number' && lastTokenType !== 'close') {
+                report(`Unexpected operator ${describe(token)}`, 'UNEXPECTED_TOKEN', token);
+            }
+            lastTokenType = 'close';
+        } else if (isOperator(token)) {
+            if (lastTokenType === null) {
+                report(`Expression starts with operator ${describe(token)}`, 'DANGLING_OPERATOR', token);
+            } else if (expectsOperand()) {
+                report(`Unexpected operator ${describe(token)}`, 'CONSECUTIVE_OPERATORS', token);
+            }
+            if (token.value === '?') {
+                conditionals.push({ token, depth: frames.length });
+            }
+            lastTokenType = 'operator';
+            lastOperator = token;
+        }
+    }
+
+    conditionals.forEach(({ token }) => report("Missing ':' in conditional expression", 'INCOMPLETE_CONDITIONAL', token));
+    frames.forEach(({ open }) => report("Unclosed '('", 'UNCLOSED_PAREN', open));
+
+    if (lastTokenType === 'operator' || lastTokenType === 'unary') {
+        report(`Expression ends with operator ${describe(lastOperator)}`, 'DANGLING_OPERATOR', lastOperator);
+    }
+
+    throwErrors(errors);
+}
+
+/**
+ * Converts Infix expression to Postfix (RPN).
+ * Function calls are emitted as { type: 'call', name, argCount } after
+ * their arguments. Parentheses and commas never reach the output.
+ *
+ * '&&', '||' and '?:' are compiled with jumps so evaluation can skip the
+ * operand it doesn't need: { type: 'jump', when, pop, target } moves to
+ * index `target` if the truthiness of the top of the stack equals `when`
+ * (always, when `when` is null), popping the tested value if `pop` is set.
+ *   a && b      =>  a [jump when false] b &&
+ *   c ? x : y   =>  c [jump when false, pop] x [jump] y ?:
+ *
+ * `limits.maxNesting` caps the depth of the operator stack (see getLimits).
+ * When a `trace` array is given, the operator stack and output queue are
+ * recorded in it after every token read (see traceExpression).
+ */
+function toPostfix(tokens, limits = NO_LIMITS, trace = null) {
+    const outputQueue = [];
+    const operatorStack = [];
+    const argCounts = []; // One entry per open parenthesis, null if not a call
+    const top = () => operatorStack[operatorStack.length - 1];
+    const push = (token) => {
+        operatorStack.push(token);
+        if (operatorStack.length > limits.maxNesting) {
+            throw limitErrorAt(`Expression nested deeper than ${limits.maxNesting} levels`,
+                'NESTING_TOO_DEEP', 'maxNesting', limits.maxNesting, token);
+        }
+    };
+    const emit = (token) => {
+        outputQueue.push(token);
+        // A short-circuit jump lands just past its operator
+        if (token.jump) token.jump.target = outputQueue.length;
+    };
+    const jump = (token, when, pop) =>
+        ({ type: 'jump', when, pop, target: null, start: token.start, end: token.end });
+    const record = (token) => {
+        if (trace) {
+            trace.push({ token, stack: operatorStack.map(tokenText), output: outputQueue.map(tokenText) });
+        }
+    };
+
+    tokens.forEach((token, i) => {
+        if (isNumber(token) || isQuantity(token) || isIdentifier(token)) {
+            outputQueue.push(token);
+        } else if (isFunction(token)) {
+            push(token);
+        } else if (isPunctuation(token, '(')) {
+            argCounts.push(isFunction(tokens[i - 1]) ? (isPunctuation(tokens[i + 1], ')') ? 0 : 1) : null);
+            push(token);
+        } else if (isPunctuation(token, ',')) {
+            while (operatorStack.length && !isPunctuation(top(), '(')) {
+                emit(operatorStack.pop());
+            }
+            argCounts[argCounts.length - 1]++;
+        } else if (isPunctuation(token, ')')) {
+            while (operatorStack.length && !isPunctuation(top(), '(')) {
+                emit(operatorStack.pop());
+            }
+            operatorStack.pop(); // Pop '('
+            const argCount = argCounts.pop();
+            if (isFunction(top())) {
+                const { name, start } = operatorStack.pop();
+                outputQueue.push({ type: 'call', name, argCount, start, end: token.end });
+            }
+        } else if (isPunctuation(token, ':')) {
+            while (operatorStack.length && !(isOperator(top()) && top().value === '?')) {
+                emit(operatorStack.pop());
+            }
+            const question = operatorStack.pop();
+            const skipAlternate = jump(token, null, false);
+            outputQueue.push(skipAlternate);
+            question.jump.target = outputQueue.length;
+            push({ type: 'operator', value: '?:', start: question.start, end: token.end, jump: skipAlternate });
+        } else if (isUnary(token)) {
+            // Prefix operators have no left operand, so nothing is popped
+            push(token);
+        } else if (isPostfix(token)) {
+            // Its operand is complete: for '%' nothing binds tighter, 'in'
+            // applies to everything before it up to an open '(' or '?'
+            while (
+                operatorStack.length &&
+                isOperator(top()) &&
+                top().value !== '?' &&
+                precedence[top().value] > precedence[token.value]
+            ) {
+                emit(operatorStack.pop());
+            }
+            outputQueue.push(token);
+        } else if (isOperator(token)) {
+            const prec = precedence[token.value];
+            while (
+                operatorStack.length &&
+                isOperator(top()) &&
+                (precedence[top().value] > prec ||
+                    (precedence[top().value] === prec && !rightAssociative.has(token.value)))
+            ) {
+                emit(operatorStack.pop());
+            }
+            if (token.value === '&&' || token.value === '||' || token.value === '?') {
+                const shortCircuit = jump(token, token.value === '||', token.value === '?');
+                outputQueue.push(shortCircuit);
+                push({ ...token, jump: shortCircuit });
+            } else {
+                push(token);
+            }
+        }
+        record(tokenText(token));
+    });
+
+    while (operatorStack.length) {
+        emit(operatorStack.pop());
+    }
+    record('end');
+
+    return outputQueue;
+}
+
+// How a token or postfix entry reads in a trace. Unary and postfix operators
+// keep their prefix ('u-', 'p%'), calls show their argument count (max/3)
+// and jumps the 1-based position in the postfix they continue at.
+const tokenText = (token) => {
+    if (typeof token === 'number') return String(token);
+    if (isNumber(token) || isQuantity(token)) return token.raw;
+    if (isIdentifier(token) || isFunction(token)) return token.name;
+    if (token.type === 'call') return `${token.name}/${token.argCount}`;
+    if (token.type === 'jump') {
+        const target = token.target === null ? '' : ` to ${token.target + 1}`;
+        return token.when === null ? `jump${target}` : `jump${target} if ${token.when}`;
+    }
+    if (token.value === 'in') return `in ${formatUnit(token.unit)}`;
+    return token.value;
+};
+
+// Trace values must survive JSON.stringify: BigInts, Rationals and
+// Quantities are recorded as their printed form
+const traceValue = (value) => (typeof value === 'number' || typeof value === 'boolean' ? value : String(value));
+
+/**
+ * Describes one postfix token run by evaluatePostfix, given the stack before
+ * and after it: the values it consumed and the value it produced.
+ */
+function traceStep(token, pc, before, after, jumped) {
+    let arity = 0;
+    if (token.type === 'jump') arity = token.when === null ? 0 : 1;
+    else if (token.type === 'call') arity = token.argCount;
+    else if (isUnary(token) || isPostfix(token)) arity = 1;
+    else if (isOperator(token) && token.value !== '?:') arity = 2;
+
+    let action = arity === 0 ? 'push' : 'apply';
+    if (token.type === 'jump') action = jumped ? 'jump' : 'continue';
+    else if (token.value === '?:') action = 'select';
+
+    const entry = {
+        position: pc + 1,
+        token: tokenText(token),
+        action,
+        operands: before.slice(before.length - arity).map(traceValue),
+        stack: after.map(traceValue)
+    };
+    if (token.type !== 'jump') {
+        entry.result = traceValue(after[after.length - 1]);
+    }
+    return entry;
+}
+
+const isTruthy = (value, num) =>
+    (typeof value === 'boolean' ? value : !num.isZero(value instanceof Quantity ? value.value : value));
+
+// Booleans take part in arithmetic as 1 and 0, as in C
+const toNumeric = (value, num) => (typeof value === 'boolean' ? num.from(value ? 1 : 0) : value);
+
+const describeValue = (value) => {
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (value === null || typeof value !== 'object') return String(value);
+    return Array.isArray(value) ? 'an array' : 'an object';
+};
+
+/**
+ * Reads variable `name` for an expression. Variables may hold booleans and
+ * quantities as well as numbers; anything else (strings, null, NaN, ...) or a
+ * number the mode can't represent is an INVALID_VALUE error at `at`.
+ */
+function loadValue(name, value, num, at) {
+    if (typeof value === 'boolean' || value instanceof Quantity) return value;
+    const invalid = (reason) =>
+        errorAt(`Invalid value for variable ${name}: ${reason}`, 'INVALID_VALUE', at);
+    const numeric = (typeof value === 'number' && Number.isFinite(value)) ||
+        typeof value === 'bigint' || value instanceof Rational;
+    if (!numeric) {
+        throw invalid(`expected a finite number, got ${describeValue(value)}`);
+    }
+    try {
+        return num.from(value);
+    } catch (err) {
+        throw invalid(err.message);
+    }
+}
+
+function applyUnary(operator, a, num) {
+    if (a instanceof Quantity && operator !== '!') {
+        return new Quantity(applyUnary(operator, a.value, num), a.unit);
+    }
+    switch (operator) {
+        case '-': return num.neg(toNumeric(a, num));
+        case '+': return toNumeric(a, num);
+        case '!': return !isTruthy(a, num);
+        case '%': return num.percent(toNumeric(a, num));
+        default: throw new Error(`Unknown operator: ${operator}`);
+    }
+}
+
+/**
+ * Applies a binary operator under numeric mode `num`. `at` (a token or AST
+ * node) locates division by zero errors.
+ */
+function applyBinary(operator, a, b, num, at) {
+    if (operator === '&&') return isTruthy(a, num) && isTruthy(b, num);
+    if (operator === '||') return isTruthy(a, num) || isTruthy(b, num);
+
+    a = toNumeric(a, num);
+    b = toNumeric(b, num);
+    if (a instanceof Quantity || b instanceof Quantity) {
+        return applyQuantity(operator, a, b, num, at);
+    }
+    switch (operator) {
+        case '+': return num.add(a, b);
+        case '-': return num.sub(a, b);
+        case '*': return num.mul(a, b);
+        case '/':
+            if (num.isZero(b)) {
+                throw errorAt("Division by zero", 'DIVISION_BY_ZERO', at);
+            }
+            return num.div(a, b);
+        case '%':
+            if (num.isZero(b)) {
+                throw errorAt("Modulo by zero", 'MODULO_BY_ZERO', at);
+            }
+            return num.mod(a, b);
+        case '^': return num.pow(a, b);
+        case '<': return num.compare(a, b) < 0;
+        case '<=': return num.compare(a, b) <= 0;
+        case '>': return num.compare(a, b) > 0;
+        case '>=': return num.compare(a, b) >= 0;
+        case '==': return num.compare(a, b) === 0;
+        case '!=': return num.compare(a, b) !== 0;
+        default: throw new Error(`Unknown operator: ${operator}`);
+    }
+}
+
+/**
+ * Evaluates the Postfix expression.
+ * Identifiers are resolved against the `env` bindings object and all
+ * arithmetic goes through the numeric mode `num` (see numericModes).
+ * Runtime failures are reported as ExpressionErrors at the offending token.
+ * `meter` (see createMeter) counts steps and applies the overflow policy.
+ * When a `trace` array is given, every token run is recorded in it with its
+ * operands and result (see traceStep).
+ */
+function evaluatePostfix(postfixTokens, env = {}, num = getNumericMode(), meter = createMeter(), trace = null) {
+    const stack = [];
+
+    // Runs one token and returns the index of the next one
+    const step = (token, pc) => {
+        if (typeof token === 'number') {
+            stack.push(num.from(token));
+        } else if (isNumber(token)) {
+            stack.push(meter.literal(token.raw, num, token));
+        } else if (isQuantity(token)) {
+            stack.push(quantityLiteral(token.parts, num, token, meter));
+        } else if (isIdentifier(token)) {
+            if (!Object.prototype.hasOwnProperty.call(env, token.name)) {
+                throw errorAt(`Unknown identifier: ${token.name}`, 'UNKNOWN_IDENTIFIER', token);
+            }
+            stack.push(loadValue(token.name, env[token.name], num, token));
+        } else if (token.type === 'jump') {
+            if (token.when === null) {
+                return token.target;
+            }
+            const condition = isTruthy(stack[stack.length - 1], num);
+            if (token.pop) {
+                stack.pop();
+            }
+            if (condition === token.when) {
+                if (!token.pop) {
+                    stack[stack.length - 1] = condition;
+                }
+                return token.target;
+            }
+        } else if (token.type === 'call') {
+            if (stack.length < token.argCount) {
+                throw new Error("Invalid expression: insufficient operands");
+            }
+            const args = stack.splice(stack.length - token.argCount, token.argCount);
+            stack.push(callFunction(token.name, args, num, token));
+        } else if (token.value === '?:') {
+            // The jumps already left the selected branch on the stack
+        } else if (isUnary(token) || isPostfix(token)) {
+            if (stack.length < 1) {
+                throw new Error("Invalid expression: insufficient operands");
+            }
+            const a = stack.pop();
+            stack.push(token.value === 'in'
+                ? convertQuantity(toNumeric(a, num), token.unit, num, token)
+                : applyUnary(operatorSymbol(token.value), a, num));
+        } else {
+            if (stack.length < 2) {
+                throw new Error("Invalid expression: insufficient operands");
+            }
+            
+            const b = stack.pop();
+            const a = stack.pop();
+            if (token.value === '^') {
+                meter.power(a, b, num, token);
+            }
+            stack.push(applyBinary(token.value, a, b, num, token));
+        }
+        return pc + 1;
+    };
+
+    let pc = 0;
+    while (pc < postfixTokens.length) {
+        const token = postfixTokens[pc];
+        try {
+            meter.step(token);
+            const before = trace ? stack.slice() : null;
+            const next = step(token, pc);
+            if (token.type !== 'jump') {
+                stack[stack.length - 1] = meter.check(stack[stack.length - 1], token);
+            }
+            if (trace) {
+                trace.push(traceStep(token, pc, before, stack, next !== pc + 1));
+            }
+            pc = next;
+        } catch (err) {
+            // Errors from numeric modes and functions don't know where they happened
+            if (err instanceof ExpressionError || typeof token !== 'object') throw err;
+            throw new ExpressionError(err.message, {
+                code: 'EVALUATION_ERROR',
+                offset: token.start,
+                length: token.end - token.start
+            });
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error("Invalid expression: too many operands");
+    }
+
+    return stack[0];
+}
+
+/**
+ * Tokenizes, validates and converts each ';'-separated statement of
+ * `expression` to postfix. Problems in all statements are reported together,
+ * except for exceeded `limits`, which stop parsing at once.
+ * Returns [{ targets, postfix, source }], one entry per statement; with
+ * `traceSteps` each also has the `conversion` trace of toPostfix.
+ */
+function parseStatements(expression, limits = NO_LIMITS, traceSteps = false) {
+    if (expression.length > limits.maxLength) {
+        throw new LimitError(`Expression is ${expression.length} characters long (limit ${limits.maxLength})`, {
+            code: 'EXPRESSION_TOO_LONG',
+            limit: 'maxLength',
+            max: limits.maxLength,
+            offset: limits.maxLength,
+            length: expression.length - limits.maxLength
+        });
+    }
+    const tokens = tokenize(expression);
+    if (tokens.length > limits.maxTokens) {
+        throw limitErrorAt(`Expression has ${tokens.length} tokens (limit ${limits.maxTokens})`,
+            'TOO_MANY_TOKENS', 'maxTokens', limits.maxTokens, tokens[limits.maxTokens]);
+    }
 
-const isOperator = (c) => ['+', '-', '*', '/'].includes(c);
+    const statements = splitStatements(tokens);
+    if (statements.length === 0) {
+        throw new ExpressionError("Empty expression", { code: 'EMPTY_EXPRESSION' });
+    }
+
+    const errors = [];
+    const parsed = statements.map(statement => {
+        const { targets, tokens } = parseAssignment(statement);
+        if (tokens.length === 0) {
+            errors.push(errorAt("Missing value after '='", 'MISSING_OPERAND', statement[statement.length - 1]));
+            return null;
+        }
+        try {
+            validateTokens(tokens);
+        } catch (err) {
+            if (!(err instanceof ExpressionError)) throw err;
+            errors.push(...(err.errors.length > 0 ? err.errors : [err]));
+            return null;
+        }
+        const conversion = traceSteps ? [] : null;
+        const postfix = toPostfix(tokens, limits, conversion);
+        const source = expression.slice(statement[0].start, statement[statement.length - 1].end);
+        return traceSteps ? { targets, postfix, source, conversion } : { targets, postfix, source };
+    });
+
+    throwErrors(errors);
+    return parsed;
+}
 
 /**
- * Tokenizes the expression string into numbers and operators.
- * Handles:
- * - Multi-digit numbers
- * - Decimal numbers
- * - Negative numbers (unary minus)
- * - Spaces
+ * Evaluates one or more ';'-separated statements against `env`.
+ * Assignments ("rate = 3") update `env` in place, so the same object can be
+ * passed again to keep variables between calls.
+ * `options.mode` selects the numeric semantics: 'int' (default, truncating
+ * division), 'float', 'floor', 'bigint' or 'rational'.
+ * `options.limits` caps the work done for untrusted input (see getLimits).
+ * Returns the value of the last statement.
  */
-function tokenize(expr) {
-    const tokens = [];
-    let numberBuffer = '';
-    let expectUnaryMinus = true; // Track if we expect a unary minus
+function evaluateExpression(expression, env = {}, options = {}) {
+    const num = getNumericMode(options.mode);
+    const limits = getLimits(options.limits);
+    const meter = createMeter(limits);
 
-    for (let i = 0; i < expr.length; i++) {
-        const char = expr[i];
+    try {
+        let result;
+        parseStatements(expression, limits).forEach(({ targets, postfix }) => {
+            result = evaluatePostfix(postfix, env, num, meter);
+            targets.forEach(({ name }) => { env[name] = result; });
+        });
+        return result;
+    } catch (err) {
+        throw attachSource(err, expression);
+    }
+}
 
-        if (/\s/.test(char)) continue; // Skip spaces
+/**
+ * Evaluates like evaluateExpression while recording every step, for teaching
+ * and debugging. Returns data that JSON.stringify can serialize:
+ *   { result, statements: [{ source, targets, conversion, evaluation }] }
+ * - conversion: one entry per token read by the Shunting-yard conversion,
+ *   { token, stack, output } as they stand after it, then an 'end' entry
+ *   once the remaining operators have been popped
+ * - evaluation: one entry per postfix token run, { position, token, action,
+ *   operands, result, stack }, position being 1-based in the final output
+ *   queue; action is 'push',
+ *   'apply', 'select' (for '?:'), or 'jump' / 'continue' for short-circuits
+ * The raw result is also available as the non-enumerable `value`.
+ */
+function traceExpression(expression, env = {}, options = {}) {
+    const num = getNumericMode(options.mode);
+    const limits = getLimits(options.limits);
+    const meter = createMeter(limits);
 
-        if (/[\d.]/.test(char)) {
-            numberBuffer += char;
-            expectUnaryMinus = false;
-        } else if (char === '-' && expectUnaryMinus) {
-            // This is a unary minus (negative number)
-            numberBuffer += char;
+    try {
+        let value;
+        const statements = parseStatements(expression, limits, true).map(({ targets, postfix, source, conversion }) => {
+            const evaluation = [];
+            value = evaluatePostfix(postfix, env, num, meter, evaluation);
+            targets.forEach(({ name }) => { env[name] = value; });
+            return { source, targets: targets.map(({ name }) => name), conversion, evaluation };
+        });
+        const traced = { result: traceValue(value), statements };
+        Object.defineProperty(traced, 'value', { value });
+        return traced;
+    } catch (err) {
+        throw attachSource(err, expression);
+    }
+}
+
+// --- AST ---
+
+/**
+ * Builds a typed AST from postfix tokens. Nodes carry [start, end) character
+ * offsets into the source:
+ *   Number { raw, value }          Identifier { name }
+ *   Quantity { raw, parts }        Call { name, args }
+ *   Unary { operator, argument, postfix?, unit? }   ('in' carries its unit)
+ *   Binary { operator, left, right }
+ *   Conditional { test, consequent, alternate }
+ * Spans of parenthesized groups cover their contents, not the parentheses.
+ */
+function buildAST(postfixTokens) {
+    const stack = [];
+    const pop = (count) => {
+        if (stack.length < count) {
+            throw new Error("Invalid expression: insufficient operands");
+        }
+        return stack.splice(stack.length - count, count);
+    };
+
+    postfixTokens.forEach(token => {
+        if (token.type === 'jump') {
+            // Control flow only; the operator that follows carries the structure
+        } else if (isNumber(token)) {
+            stack.push({ type: 'Number', raw: token.raw, value: token.value, start: token.start, end: token.end });
+        } else if (isQuantity(token)) {
+            stack.push({ type: 'Quantity', raw: token.raw, parts: token.parts, start: token.start, end: token.end });
+        } else if (isIdentifier(token)) {
+            stack.push({ type: 'Identifier', name: token.name, start: token.start, end: token.end });
+        } else if (token.type === 'call') {
+            const args = pop(token.argCount);
+            stack.push({ type: 'Call', name: token.name, args, start: token.start, end: token.end });
+        } else if (isUnary(token)) {
+            const [argument] = pop(1);
+            stack.push({
+                type: 'Unary',
+                operator: operatorSymbol(token.value),
+                argument,
+                start: token.start,
+                end: argument.end
+            });
+        } else if (isPostfix(token)) {
+            const [argument] = pop(1);
+            stack.push({
+                type: 'Unary',
+                operator: operatorSymbol(token.value),
+                postfix: true,
+                ...(token.unit && { unit: token.unit }),
+                argument,
+                start: argument.start,
+                end: token.end
+            });
+        } else if (token.value === '?:') {
+            const [test, consequent, alternate] = pop(3);
+            stack.push({ type: 'Conditional', test, consequent, alternate, start: test.start, end: alternate.end });
         } else {
-            if (numberBuffer.length > 0) {
-                const num = parseFloat(numberBuffer);
-                if (isNaN(num)) {
-                    throw new Error(`Invalid number: ${numberBuffer}`);
-                }
-                tokens.push(num);
-                numberBuffer = '';
+            const [left, right] = pop(2);
+            stack.push({ type: 'Binary', operator: token.value, left, right, start: left.start, end: right.end });
+        }
+    });
+
+    if (stack.length !== 1) {
+        throw new Error("Invalid expression: too many operands");
+    }
+
+    return stack[0];
+}
+
+/**
+ * Parses an expression into an AST without evaluating it.
+ * An assignment statement becomes Assignment { name, value }; several
+ * ';'-separated statements become Sequence { body }.
+ * `options.limits` applies the parse-time limits (see getLimits).
+ */
+function parse(expression, options = {}) {
+    const limits = getLimits(options.limits);
+    let statements;
+    try {
+        statements = parseStatements(expression, limits);
+    } catch (err) {
+        throw attachSource(err, expression);
+    }
+
+    statements = statements.map(({ targets, postfix }) => {
+        let node = buildAST(postfix);
+        targets.reverse().forEach(target => {
+            node = { type: 'Assignment', name: target.name, value: node, start: target.start, end: node.end };
+        });
+        return node;
+    });
+
+    if (statements.length === 1) {
+        return statements[0];
+    }
+    return {
+        type: 'Sequence',
+        body: statements,
+        start: statements[0].start,
+        end: statements[statements.length - 1].end
+    };
+}
+
+const nodePrecedence = (node) => {
+    switch (node.type) {
+        case 'Binary': return precedence[node.operator];
+        case 'Unary':
+            if (node.postfix) return precedence[node.operator === 'in' ? 'in' : `p${node.operator}`];
+            return precedence[node.operator === '!' ? '!' : `u${node.operator}`];
+        case 'Conditional': return precedence['?:'];
+        case 'Assignment': return 0;
+        default: return Infinity;
+    }
+};
+
+/**
+ * Prints an AST back to infix text, adding only the parentheses needed to
+ * keep its structure: print(parse("(2*3)+(4)")) === "2 * 3 + 4".
+ */
+function print(node) {
+    switch (node.type) {
+        case 'Number': return node.raw;
+        case 'Quantity': return node.parts.map(({ raw, unit }) => `${raw}${unit}`).join(' ');
+        case 'Identifier': return node.name;
+        case 'Call': return `${node.name}(${node.args.map(print).join(', ')})`;
+        case 'Assignment': return `${node.name} = ${print(node.value)}`;
+        case 'Sequence': return node.body.map(print).join('; ');
+        case 'Conditional': {
+            // Right-associative: a nested conditional only needs parentheses as the test
+            const prec = nodePrecedence(node);
+            const test = nodePrecedence(node.test) <= prec ? `(${print(node.test)})` : print(node.test);
+            const alternate = nodePrecedence(node.alternate) < prec ? `(${print(node.alternate)})` : print(node.alternate);
+            return `${test} ? ${print(node.consequent)} : ${alternate}`;
+        }
+        case 'Unary': {
+            let arg = print(node.argument);
+            if (nodePrecedence(node.argument) < nodePrecedence(node)) {
+                arg = `(${arg})`;
             }
-            
-            if (char === '(') {
-                expectUnaryMinus = true;
-            } else if (isOperator(char)) {
-                expectUnaryMinus = true;
-            } else if (char === ')') {
-                expectUnaryMinus = false;
+            if (node.operator === 'in') return `${arg} in ${formatUnit(node.unit)}`;
+            return node.postfix ? `${arg}${node.operator}` : `${node.operator}${arg}`;
+        }
+        case 'Binary': {
+            const prec = nodePrecedence(node);
+            const rightAssoc = rightAssociative.has(node.operator);
+            const leftPrec = nodePrecedence(node.left);
+            const rightPrec = nodePrecedence(node.right);
+            let left = print(node.left);
+            let right = print(node.right);
+            if (leftPrec < prec || (leftPrec === prec && rightAssoc)) {
+                left = `(${left})`;
             }
-            
-            tokens.push(char);
+            // A prefix operator on the right never needs parentheses: 2 ^ -1
+            const prefix = node.right.type === 'Unary' && !node.right.postfix;
+            if (!prefix && (rightPrec < prec || (rightPrec === prec && !rightAssoc))) {
+                right = `(${right})`;
+            }
+            return node.operator === '^' ? `${left}^${right}` : `${left} ${node.operator} ${right}`;
         }
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
     }
-    
-    if (numberBuffer.length > 0) {
-        const num = parseFloat(numberBuffer);
-        if (isNaN(num)) {
-            throw new Error(`Invalid number: ${numberBuffer}`);
+}
+
+/**
+ * Compiles an AST node to a closure. Unless `meter` has nothing to enforce,
+ * every node counts as a step and its value goes through the overflow policy.
+ */
+function compileNode(node, num, meter = createMeter()) {
+    const evaluate = compileOperation(node, num, meter);
+    if (meter.unlimited) {
+        return evaluate;
+    }
+    return (env) => {
+        meter.step(node);
+        return meter.check(evaluate(env), node);
+    };
+}
+
+function compileOperation(node, num, meter) {
+    switch (node.type) {
+        case 'Number': {
+            const value = meter.literal(node.raw, num, node);
+            return () => value;
         }
-        tokens.push(num);
+        case 'Quantity': {
+            const value = quantityLiteral(node.parts, num, node, meter);
+            return () => value;
+        }
+        case 'Identifier': {
+            const { name } = node;
+            return (env) => {
+                if (!Object.prototype.hasOwnProperty.call(env, name)) {
+                    throw errorAt(`Unknown identifier: ${name}`, 'UNKNOWN_IDENTIFIER', node);
+                }
+                return loadValue(name, env[name], num, node);
+            };
+        }
+        case 'Call': {
+            const args = node.args.map(arg => compileNode(arg, num, meter));
+            return (env) => callFunction(node.name, args.map(arg => arg(env)), num, node);
+        }
+        case 'Assignment': {
+            const value = compileNode(node.value, num, meter);
+            return (env) => (env[node.name] = value(env));
+        }
+        case 'Sequence': {
+            const body = node.body.map(statement => compileNode(statement, num, meter));
+            return (env) => body.reduce((_, statement) => statement(env), undefined);
+        }
+        case 'Unary': {
+            const argument = compileNode(node.argument, num, meter);
+            if (node.operator === 'in') {
+                return (env) => convertQuantity(toNumeric(argument(env), num), node.unit, num, node);
+            }
+            return (env) => applyUnary(node.operator, argument(env), num);
+        }
+        case 'Binary': {
+            const left = compileNode(node.left, num, meter);
+            const right = compileNode(node.right, num, meter);
+            switch (node.operator) {
+                case '&&': return (env) => isTruthy(left(env), num) && isTruthy(right(env), num);
+                case '||': return (env) => isTruthy(left(env), num) || isTruthy(right(env), num);
+                case '^': return (env) => {
+                    const base = left(env);
+                    const exponent = right(env);
+                    meter.power(base, exponent, num, node);
+                    return applyBinary('^', base, exponent, num, node);
+                };
+                default: return (env) => applyBinary(node.operator, left(env), right(env), num, node);
+            }
+        }
+        case 'Conditional': {
+            const test = compileNode(node.test, num, meter);
+            const consequent = compileNode(node.consequent, num, meter);
+            const alternate = compileNode(node.alternate, num, meter);
+            return (env) => (isTruthy(test(env), num) ? consequent(env) : alternate(env));
+        }
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
     }
-    
-    return tokens;
 }
 
 /**
- * Validates the token array for common errors
+ * Parses `expression` once and returns a reusable function `(env) => value`,
+ * for evaluating the same formula against many sets of bindings.
+ * Accepts the same `options.mode` and `options.limits` as evaluateExpression;
+ * the step budget applies to each call separately.
  */
-function validateTokens(tokens) {
-    if (tokens.length === 0) {
-        throw new Error("Empty expression");
-    }
+function compile(expression, options = {}) {
+    const meter = createMeter(getLimits(options.limits));
+    const evaluate = compileNode(parse(expression, options), getNumericMode(options.mode), meter);
+    return (env = {}) => {
+        meter.reset();
+        try {
+            return evaluate(env);
+        } catch (err) {
+            throw attachSource(err, expression);
+        }
+    };
+}
 
-    let parenCount = 0;
-    let lastTokenType = null; // 'number', 'operator', 'open', 'close'
+// --- Execution ---
 
-    for (let i = 0; i < tokens.length; i++) {
-        const token = tokens[i];
+/**
+ * Runs the built-in test cases. Returns true when all of them pass.
+ */
+const runTestCases = () => {
+    console.log("=== Running Test Cases ===\n");
+    
+    const testCases = [
+        { expr: "2+3*4", expected: 14 },
+        { expr: "(10 + 2) * 3 / 4", expected: 9 },
+        { expr: "-5 + 3", expected: -2 },
+        { expr: "2 * -3", expected: -6 },
+        { expr: "(-5 + 3) * 2", expected: -4 },
+        { expr: "10 / 3", expected: 3 },
+        { expr: "-10 / 3", expected: -3 },
+        { expr: "((2+3)*(4-1))/3", expected: 5 },
+        { expr: "100 - 50 + 25", expected: 75 },
+        { expr: "x * 2", env: { x: 21 }, expected: 42 },
+        { expr: "rate = 3; rate * 4", expected: 12 },
+        { expr: "a = b = 5; a + b", expected: 10 },
+        { expr: "total + 1", error: "Unknown identifier: total", codes: ['UNKNOWN_IDENTIFIER'] },
+        { expr: "x + 1", env: { x: 'abc' }, error: 'Invalid value for variable x: expected a finite number, got "abc"',
+          codes: ['INVALID_VALUE'] },
+        { expr: "x * 2", env: { x: null }, error: "Invalid value for variable x: expected a finite number, got null",
+          codes: ['INVALID_VALUE'] },
+        { expr: "1 + x", env: { x: {} }, error: "Invalid value for variable x: expected a finite number, got an object",
+          codes: ['INVALID_VALUE'] },
+        { expr: "x", env: { x: NaN }, error: "Invalid value for variable x: expected a finite number, got NaN",
+          codes: ['INVALID_VALUE'] },
+        { expr: "x + 1", env: { x: 2.5 }, options: { mode: 'bigint' },
+          error: "Invalid value for variable x: Non-integer value in bigint mode: 2.5", codes: ['INVALID_VALUE'] },
+        { expr: "x + y", env: { x: 2n, y: true }, options: { mode: 'bigint' }, expected: 3n },
+        { expr: "sqrt(16) + abs(-2)", expected: 6 },
+        { expr: "max(1, 7, 3) - min(4, 2 * 3)", expected: 3 },
+        { expr: "round(2.567, 2)", expected: 2.57 },
+        { expr: "max(sqrt(9), (1 + 1) * 2)", expected: 4 },
+        { expr: "round(15, -1) + round(1234, -2)", expected: 1220 },
+        { expr: "round(25, -1) + round(-15, -1)", options: { mode: 'float' }, expected: 20 },
+        { expr: "round(15, -1) + round(1234, -2)", options: { mode: 'bigint' }, expected: 1220n },
+        { expr: "round(25, -1) + round(-15, -1)", options: { mode: 'bigint' }, expected: 20n },
+        { expr: "round(15, -1) + round(1234.5, -2)", options: { mode: 'rational' }, expected: "1220" },
+        { expr: "round(25, -1) + round(-15, -1)", options: { mode: 'rational' }, expected: "20" },
+        { expr: "round(2.5, 0.5)", options: { mode: 'rational' },
+          error: "round() expects a whole number of digits, got 0.5", codes: ['EVALUATION_ERROR'] },
+        { expr: "round(2.5, 0.5)", options: { mode: 'float' },
+          error: "round() expects a whole number of digits, got 0.5", codes: ['EVALUATION_ERROR'] },
+        { expr: "sqrt(1, 2)", error: "Arity mismatch: sqrt() expects 1 argument(s), got 2" },
+        { expr: "foo(1)", error: "Unknown function: foo", codes: ['UNKNOWN_FUNCTION'] },
+        { expr: "(1 + 2 *", error: "2 errors in expression", codes: ['UNCLOSED_PAREN', 'DANGLING_OPERATOR'] },
+        { expr: "2 + ) * 3 #", error: "3 errors in expression",
+          codes: ['UNMATCHED_PAREN', 'CONSECUTIVE_OPERATORS', 'INVALID_CHARACTER'] },
+        { expr: "a = ; b = 1 +", error: "2 errors in expression", codes: ['MISSING_OPERAND', 'DANGLING_OPERATOR'] },
+        { expr: "1 / (2 - 2)", error: "Division by zero", codes: ['DIVISION_BY_ZERO'] },
+        { expr: "2 ^ 3 ^ 2", expected: 512 },
+        { expr: "2 ** 10", expected: 1024 },
+        { expr: "-2 ^ 2", expected: -4 },
+        { expr: "2 ^ -1 * 4", expected: 2 },
+        { expr: "-(2 + 3)", expected: -5 },
+        { expr: "--4", expected: 4 },
+        { expr: "-+-3", expected: 3 },
+        { expr: "-sqrt(16)", expected: -4 },
+        { expr: "17 % 5 * 2", expected: 4 },
+        { expr: "-7 % 3", expected: -1 },
+        { expr: "10 / 4", options: { mode: 'float' }, expected: 2.5 },
+        { expr: "-7 / 2", options: { mode: 'floor' }, expected: -4 },
+        { expr: "-7 % 3", options: { mode: 'floor' }, expected: 2 },
+        { expr: "2 ^ 64 + 1", options: { mode: 'bigint' }, expected: 18446744073709551617n },
+        { expr: "-7 / 2", options: { mode: 'bigint' }, expected: -3n },
+        { expr: "1.5 * 2", options: { mode: 'bigint' }, error: "Non-integer value in bigint mode: 1.5" },
+        { expr: "7 / 3", options: { mode: 'rational' }, expected: "7/3" },
+        { expr: "0.1 + 0.2", options: { mode: 'rational' }, expected: "3/10" },
+        { expr: "(2 / 3) ^ -2 + max(1/3, 1/4)", options: { mode: 'rational' }, expected: "31/12" },
+        { expr: "total > 100 && discount <= 5 ? 1 : 0", env: { total: 150, discount: 5 }, expected: 1 },
+        { expr: "1 + 1 == 2 && !(3 < 2)", expected: true },
+        { expr: "2 < 1 || 4 != 4", expected: false },
+        { expr: "x > 0 || 1 / x", env: { x: 1 }, expected: true },
+        { expr: "x != 0 && 1 / x > 0", env: { x: 0 }, expected: false },
+        { expr: "a > 2 ? a > 5 ? 3 : 2 : 1", env: { a: 4 }, expected: 2 },
+        { expr: "a < 0 ? -1 : a == 0 ? 0 : 1", env: { a: -7 }, expected: -1 },
+        { expr: "max(1 > 0 ? 4 : 5, 2) + (1 < 2)", expected: 5 },
+        { expr: "ok = 3 >= 3; ok ? 10 : 20", expected: 10 },
+        { expr: "1 ? 2", error: "Missing ':' in conditional expression", codes: ['INCOMPLETE_CONDITIONAL'] },
+        { expr: "1 : 2", error: "Unexpected ':' without a matching '?'", codes: ['UNEXPECTED_TOKEN'] },
+        { expr: "6.02e23 / 1e21", options: { mode: 'rational' }, expected: "602" },
+        { expr: "2.5E-1 + .5 + 3.", options: { mode: 'float' }, expected: 3.75 },
+        { expr: "0xFF + 0b1010 + 0o17", expected: 280 },
+        { expr: "1_000_000 * 0x_ff", error: "Misplaced '_' digit separator in 0x_ff" },
+        { expr: "0xFFFF_FFFF_FFFF_FFFF + 1", options: { mode: 'bigint' }, expected: 18446744073709551616n },
+        { expr: "1_000_000 / 1_000", expected: 1000 },
+        { expr: "50% * 80", expected: 40 },
+        { expr: "price * (100 - 15)%", env: { price: 200 }, expected: 170 },
+        { expr: "10 % 4 + 10%4", expected: 4 },
+        { expr: "12.5%", options: { mode: 'rational' }, expected: "1/8" },
+        { expr: "1.2.3", error: "Invalid number 1.2.3: more than one decimal point", codes: ['INVALID_NUMBER'] },
+        { expr: "1e + 2", error: "Missing exponent digits in 1e", codes: ['INVALID_NUMBER'] },
+        { expr: "0b102", error: "Invalid digit '2' in binary literal 0b102", codes: ['INVALID_NUMBER'] },
+        { expr: "1__0", error: "Misplaced '_' digit separator in 1__0", codes: ['INVALID_NUMBER'] },
+        { expr: "5km + 300m", expected: "5300 m" },
+        { expr: "2h 30min / 5", expected: "30 min" },
+        { expr: "(5km + 300m) in mi", options: { mode: 'float' }, expected: "3.29326731885787 mi" },
+        { expr: "90km / 45min in km/h", expected: "120 km/h" },
+        { expr: "5ft 3in in cm", options: { mode: 'rational' }, expected: "8001/50 cm" },
+        { expr: "12USD * 3 + 4USD", expected: "40 USD" },
+        { expr: "1km == 1000m && 90s < 2min", expected: true },
+        { expr: "sqrt(4m * 9m) + max(1m, 50cm)", expected: "700 cm" },
+        { expr: "300m / 1.5km", options: { mode: 'float' }, expected: 0.2 },
+        { expr: "5km + 3s", error: "Incompatible units: cannot add km and s", codes: ['INCOMPATIBLE_UNITS'] },
+        { expr: "2h 30m", error: "Cannot combine h and m in one quantity", codes: ['INCOMPATIBLE_UNITS'] },
+        { expr: "5kg * 2", error: "Unknown unit: kg", codes: ['UNKNOWN_UNIT'] },
+        { expr: "1h in km", error: "Incompatible units: cannot convert h to km", codes: ['INCOMPATIBLE_UNITS'] },
+        { expr: "2h 30min in h", error: "Inexact conversion from min to h: 5/2 would be truncated (use float or rational mode)",
+          codes: ['INEXACT_CONVERSION'] },
+        { expr: "1mi in km", options: { mode: 'bigint' },
+          error: "Inexact conversion from mi to km: 25146/15625 would be truncated (use float or rational mode)",
+          codes: ['INEXACT_CONVERSION'] },
+        { expr: "1in + 1mm", options: { mode: 'floor' },
+          error: "Inexact conversion from in to mm: 127/5 would be truncated (use float or rational mode)",
+          codes: ['INEXACT_CONVERSION'] },
+        { expr: "2h 30min in min", options: { mode: 'bigint' }, expected: "150 min" },
+        { expr: "(7200s in h) * (0.5km in m) / 250m", expected: "4 h" },
+        { expr: "2h 30min in h", options: { mode: 'float' }, expected: "2.5 h" },
+        { expr: "1 + 2 + 3", options: { limits: { maxLength: 5 } },
+          error: "Expression is 9 characters long (limit 5)", codes: ['EXPRESSION_TOO_LONG'] },
+        { expr: "1 + 2 + 3", options: { limits: { maxTokens: 4 } },
+          error: "Expression has 5 tokens (limit 4)", codes: ['TOO_MANY_TOKENS'] },
+        { expr: "((((1))))", options: { limits: { maxNesting: 3 } },
+          error: "Expression nested deeper than 3 levels", codes: ['NESTING_TOO_DEEP'] },
+        { expr: "a = 1; a + a + a", options: { limits: { maxSteps: 5 } },
+          error: "Evaluation exceeded 5 steps", codes: ['STEP_LIMIT_EXCEEDED'] },
+        { expr: "2 * (3 + 4)", options: { limits: SAFE_LIMITS }, expected: 14 },
+        { expr: "10 ^ 400", options: { mode: 'float', limits: { overflow: 'error' } },
+          error: "Numeric overflow: result is Infinity", codes: ['NUMERIC_OVERFLOW'] },
+        { expr: "sqrt(-1) + 1", options: { mode: 'float', limits: { overflow: 'clamp' } },
+          error: "Numeric overflow: result is NaN", codes: ['NUMERIC_OVERFLOW'] },
+        { expr: "-(10 ^ 400)", options: { mode: 'float', limits: { overflow: 'clamp' } }, expected: -Number.MAX_VALUE },
+        { expr: "2 ^ 99999999", options: { mode: 'bigint', limits: SAFE_LIMITS },
+          error: "Result of ^ would have about 30103000 digits (limit 1000)", codes: ['TOO_MANY_DIGITS'] },
+        { expr: "(3/7) ^ 300000", options: { mode: 'rational', limits: SAFE_LIMITS },
+          error: "Result of ^ would have about 253530 digits (limit 1000)", codes: ['TOO_MANY_DIGITS'] },
+        { expr: "1e999999999", options: { mode: 'rational', limits: SAFE_LIMITS },
+          error: "Number 1e999999999 would have about 1000000000 digits (limit 1000)", codes: ['TOO_MANY_DIGITS'] },
+        { expr: "x = 10 ^ 600; x * x", options: { mode: 'bigint', limits: SAFE_LIMITS },
+          error: "Result has about 1201 digits (limit 1000)", codes: ['TOO_MANY_DIGITS'] },
+        { expr: "(-1) ^ 99999999 + 1 ^ 99999999", options: { mode: 'bigint', limits: SAFE_LIMITS }, expected: "0" },
+    ];
 
-        if (typeof token === 'number') {
-            if (lastTokenType === 'number' || lastTokenType === 'close') {
-                throw new Error(`Invalid expression: unexpected number at position ${i}`);
+    const printCases = [
+        { expr: "((2 * 3)) + (4)", expected: "2 * 3 + 4" },
+        { expr: "(1 + 2) * 3 - (4 - 5)", expected: "(1 + 2) * 3 - (4 - 5)" },
+        { expr: "(2 ^ 3) ^ 2 + 2 ^ (3 ^ 2)", expected: "(2^3)^2 + 2^3^2" },
+        { expr: "-(2 ^ 2) + (-2) ^ 2 + 2 ^ (-1)", expected: "-2^2 + (-2)^2 + 2^-1" },
+        { expr: "y = max((a), b * (c + 1))", expected: "y = max(a, b * (c + 1))" },
+        { expr: "(a ? b : c) ? (d ? e : f) : (g ? h : i)", expected: "(a ? b : c) ? d ? e : f : g ? h : i" },
+        { expr: "!(a && b) || (c || d) && e <= 1 + 2", expected: "!(a && b) || (c || d) && e <= 1 + 2" },
+        { expr: "(a + 5)% * 2 + -(10%)", expected: "(a + 5)% * 2 + -10%" },
+        { expr: "(2h   30min + 15min) in h", expected: "2h 30min + 15min in h" },
+        { expr: "d / (t in s) in m / s", expected: "d / (t in s) in m/s" },
+    ];
+
+    // Final output queue and the reductions applied, as "operator operands => result"
+    const traceCases = [
+        { expr: "1 + 2 * 3", postfix: "1 2 3 * +", reductions: ["* 2 3 => 6", "+ 1 6 => 7"] },
+        { expr: "-(4 - 1) ^ 2", postfix: "4 1 - 2 ^ u-", reductions: ["- 4 1 => 3", "^ 3 2 => 9", "u- 9 => -9"] },
+        { expr: "max(2, 5) > 3 || 1 / 0", postfix: "2 5 max/2 3 > jump to 11 if true 1 0 / ||",
+          reductions: ["max/2 2 5 => 5", "> 5 3 => true"] },
+    ];
+
+    // Batch mode output, one JSON record per line sharing one environment
+    const batchCases = [
+        { lines: ["x = 4", "x * 2 > 5", "ans && x < 3", "2 ^ 70"], options: { mode: 'bigint' }, expected: [
+            '{"line":1,"input":"x = 4","result":"4"}',
+            '{"line":2,"input":"x * 2 > 5","result":true}',
+            '{"line":3,"input":"ans && x < 3","result":false}',
+            '{"line":4,"input":"2 ^ 70","result":"1180591620717411303424"}'
+        ] },
+        { lines: ["1.5 * 2 == 3", "1km in m"], options: { mode: 'float' }, expected: [
+            '{"line":1,"input":"1.5 * 2 == 3","result":true}',
+            '{"line":2,"input":"1km in m","result":"1000 m"}'
+        ] },
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    testCases.forEach(({ expr, env, options, expected, error, codes }) => {
+        try {
+            const result = evaluateExpression(expr, { ...env }, options);
+            // Rational results are compared by their printed form
+            const matches = typeof expected === 'string' ? String(result) === expected : result === expected;
+            if (error) {
+                console.log(`✗ FAIL: "${expr}" = ${result} (expected error "${error}")`);
+                failed++;
+            } else if (matches) {
+                console.log(`✓ PASS: "${expr}" = ${result}`);
+                passed++;
+            } else {
+                console.log(`✗ FAIL: "${expr}" = ${result} (expected ${expected})`);
+                failed++;
             }
-            lastTokenType = 'number';
-        } else if (token === '(') {
-            parenCount++;
-            if (lastTokenType === 'number' || lastTokenType === 'close') {
-                throw new Error(`Invalid expression: unexpected '(' at position ${i}`);
+        } catch (err) {
+            const errorCodes = err.errors && err.errors.length > 0 ? err.errors.map(e => e.code) : [err.code];
+            if (error && err.message === error && (!codes || codes.join() === errorCodes.join())) {
+                console.log(`✓ PASS: "${expr}" throws "${err.message}"`);
+                passed++;
+            } else {
+                console.log(`✗ ERROR: "${expr}" - ${err.message}`);
+                failed++;
             }
-            lastTokenType = 'open';
-        } else if (token === ')') {
-            parenCount--;
-            if (parenCount < 0) {
-                throw new Error("Mismatched parentheses: too many closing parentheses");
+        }
+    });
+
+    printCases.forEach(({ expr, expected }) => {
+        try {
+            const printed = print(parse(expr));
+            if (printed === expected) {
+                console.log(`✓ PASS: print("${expr}") = "${printed}"`);
+                passed++;
+            } else {
+                console.log(`✗ FAIL: print("${expr}") = "${printed}" (expected "${expected}")`);
+                failed++;
             }
-            if (lastTokenType === 'operator' || lastTokenType === 'open') {
-                throw new Error(`Invalid expression: unexpected ')' at position ${i}`);
+        } catch (err) {
+            console.log(`✗ ERROR: print("${expr}") - ${err.message}`);
+            failed++;
+        }
+    });
+
+    traceCases.forEach(({ expr, postfix, reductions }) => {
+        try {
+            const [{ conversion, evaluation }] = traceExpression(expr).statements;
+            const output = conversion[conversion.length - 1].output.join(' ');
+            const applied = evaluation
+                .filter(({ action }) => action === 'apply')
+                .map(({ token, operands, result }) => `${token} ${operands.join(' ')} => ${result}`);
+            if (output === postfix && applied.join() === reductions.join()) {
+                console.log(`✓ PASS: trace("${expr}") = ${output}`);
+                passed++;
+            } else {
+                console.log(`✗ FAIL: trace("${expr}") = ${output} | ${applied.join(', ')}`);
+                failed++;
             }
-            lastTokenType = 'close';
-        } else if (isOperator(token)) {
-            if (lastTokenType === 'operator' || lastTokenType === 'open') {
-                throw new Error(`Invalid expression: consecutive operators at position ${i}`);
+        } catch (err) {
+            console.log(`✗ ERROR: trace("${expr}") - ${err.message}`);
+            failed++;
+        }
+    });
+
+    batchCases.forEach(({ lines, options, expected }) => {
+        const env = {};
+        const output = lines.map((line, i) => JSON.stringify(batchRecord(line, i + 1, env, options)));
+        if (output.join('\n') === expected.join('\n')) {
+            console.log(`✓ PASS: batch ${JSON.stringify(lines)}`);
+            passed++;
+        } else {
+            console.log(`✗ FAIL: batch ${JSON.stringify(lines)} gave\n${output.join('\n')}`);
+            failed++;
+        }
+    });
+
+    // Compiled functions must agree with evaluateExpression
+    testCases.filter(({ error }) => !error).forEach(({ expr, env, options, expected }) => {
+        try {
+            const result = compile(expr, options)({ ...env });
+            const matches = typeof expected === 'string' ? String(result) === expected : result === expected;
+            if (matches) {
+                passed++;
+            } else {
+                console.log(`✗ FAIL: compile("${expr}") = ${result} (expected ${expected})`);
+                failed++;
             }
-            lastTokenType = 'operator';
+        } catch (err) {
+            console.log(`✗ ERROR: compile("${expr}") - ${err.message}`);
+            failed++;
         }
+    });
+
+    console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+    return failed === 0;
+};
+
+// Numbers and booleans as themselves; bigints, rationals and quantities as their printed form
+const toJSONValue = (value) => (typeof value === 'number' || typeof value === 'boolean' ? value : String(value));
+
+const errorToJSON = (err) => {
+    if (!(err instanceof ExpressionError)) {
+        return { code: 'ERROR', message: err.message };
     }
+    const json = { code: err.code, message: err.message, offset: err.offset, length: err.length };
+    if (err.errors.length > 0) {
+        json.errors = err.errors.map(errorToJSON);
+    }
+    return json;
+};
+
+const formatError = (err) => (err instanceof ExpressionError ? err.format() : err.message);
+
+// Left-aligned columns separated by two spaces
+const formatTable = (headers, rows) => {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+};
+
+/**
+ * Renders a traceExpression result as one conversion table and one
+ * evaluation table per statement.
+ */
+function formatTrace({ result, statements }) {
+    const list = (values) => values.map(String).join(' ');
+    const sections = statements.map(({ source, conversion, evaluation }, i) => [
+        `Statement ${i + 1}: ${source}`,
+        '',
+        'Shunting-yard conversion',
+        formatTable(['#', 'Token', 'Operator stack', 'Output queue'],
+            conversion.map((entry, n) => [`${n + 1}`, entry.token, list(entry.stack), list(entry.output)])),
+        '',
+        'Postfix evaluation',
+        formatTable(['#', 'Token', 'Action', 'Operands', 'Result', 'Stack'],
+            evaluation.map(entry => [
+                `${entry.position}`,
+                entry.token,
+                entry.action,
+                list(entry.operands),
+                'result' in entry ? String(entry.result) : '',
+                list(entry.stack)
+            ]))
+    ].join('\n'));
+    return [...sections, `Result: ${result}`].join('\n\n');
+}
+
+const USAGE = `Usage:
+  node solution.js [options] [expression ...]
 
-    if (parenCount !== 0) {
-        throw new Error("Mismatched parentheses: unclosed opening parentheses");
+With no expressions, evaluates sample_input.txt if present, otherwise runs the test cases.
+
+Options:
+  -i, --repl           Start an interactive session ('ans' holds the last result)
+  -b, --batch [file]   Evaluate one expression per line from file (or stdin),
+                       printing one JSON object per line
+  -m, --mode <mode>    Numeric mode: ${Object.keys(numericModes).join(', ')} (default: ${DEFAULT_MODE})
+  -t, --trace [json]   Show every conversion and evaluation step, as tables or
+                       as JSON; in batch mode each record gets a 'trace' field
+  -h, --help           Show this help`;
+
+function parseArgs(argv) {
+    const args = {
+        mode: DEFAULT_MODE,
+        repl: false,
+        batch: false,
+        batchFile: null,
+        trace: null,
+        expressions: [],
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-i' || arg === '--repl') {
+            args.repl = true;
+        } else if (arg === '-b' || arg === '--batch') {
+            args.batch = true;
+            if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+                args.batchFile = argv[++i];
+            }
+        } else if (arg === '-m' || arg === '--mode') {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`Missing value for ${arg}\n\n${USAGE}`);
+            }
+            args.mode = argv[++i];
+            getNumericMode(args.mode); // Fail early on unknown modes
+        } else if (arg === '-t' || arg === '--trace') {
+            args.trace = 'table';
+            if (argv[i + 1] === 'json' || argv[i + 1] === 'table') {
+                args.trace = argv[++i];
+            }
+        } else if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--') {
+            args.expressions.push(...argv.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && arg.length > 1 && !/^-[\d.(]/.test(arg)) {
+            throw new Error(`Unknown option: ${arg}\n\n${USAGE}`);
+        } else {
+            args.expressions.push(arg);
+        }
     }
 
-    if (lastTokenType === 'operator') {
-        throw new Error("Invalid expression: ends with an operator");
+    return args;
+}
+
+/**
+ * Evaluates `expr` for the interactive modes, first printing its trace when
+ * `trace` is 'table' or 'json'.
+ */
+function evaluateWithTrace(expr, env, { mode, trace }) {
+    if (!trace) {
+        return evaluateExpression(expr, env, { mode });
     }
+    const traced = traceExpression(expr, env, { mode });
+    console.log(trace === 'json' ? JSON.stringify(traced, null, 2) : formatTrace(traced));
+    return traced.value;
 }
 
 /**
- * Converts Infix expression to Postfix (RPN)
+ * Evaluates each command-line argument in turn, sharing one environment.
  */
-function toPostfix(tokens) {
-    const outputQueue = [];
-    const operatorStack = [];
+function runExpressions({ expressions, mode, trace }) {
+    const env = {};
+    let ok = true;
 
-    tokens.forEach(token => {
-        if (typeof token === 'number') {
-            outputQueue.push(token);
-        } else if (token === '(') {
-            operatorStack.push(token);
-        } else if (token === ')') {
-            while (operatorStack.length && operatorStack[operatorStack.length - 1] !== '(') {
-                outputQueue.push(operatorStack.pop());
-            }
-            operatorStack.pop(); // Pop '('
-        } else if (isOperator(token)) {
-            while (
-                operatorStack.length &&
-                operatorStack[operatorStack.length - 1] !== '(' &&
-                precedence[operatorStack[operatorStack.length - 1]] >= precedence[token]
-            ) {
-                outputQueue.push(operatorStack.pop());
-            }
-            operatorStack.push(token);
+    expressions.forEach(expr => {
+        try {
+            env.ans = evaluateWithTrace(expr, env, { mode, trace });
+            console.log(String(env.ans));
+        } catch (err) {
+            console.error(formatError(err));
+            ok = false;
         }
     });
 
-    while (operatorStack.length) {
-        outputQueue.push(operatorStack.pop());
-    }
+    return ok;
+}
 
-    return outputQueue;
+/**
+ * Evaluates one batch line against `env` (updating 'ans') and returns its
+ * output record (see runBatch).
+ */
+function batchRecord(line, lineNumber, env, { mode, trace }) {
+    const record = { line: lineNumber, input: line };
+    try {
+        if (trace) {
+            const traced = traceExpression(line, env, { mode });
+            env.ans = traced.value;
+            record.result = toJSONValue(env.ans);
+            record.trace = traced.statements;
+        } else {
+            env.ans = evaluateExpression(line, env, { mode });
+            record.result = toJSONValue(env.ans);
+        }
+    } catch (err) {
+        record.error = errorToJSON(err);
+    }
+    return record;
 }
 
 /**
- * Evaluates the Postfix expression
+ * Reads one expression per line and writes one JSON object per line:
+ * { line, input, result } or { line, input, error: { code, message, offset, length } }.
+ * With `trace`, successful records also carry the steps (see traceExpression).
+ * Blank lines are skipped. Resolves to false if any line failed.
  */
-function evaluatePostfix(postfixTokens) {
-    const stack = [];
+function runBatch({ batchFile, mode, trace }) {
+    const readline = require('readline');
+    const input = batchFile && batchFile !== '-' ? fs.createReadStream(batchFile) : process.stdin;
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    const env = {};
+    let lineNumber = 0;
+    let ok = true;
 
-    postfixTokens.forEach(token => {
-        if (typeof token === 'number') {
-            stack.push(token);
-        } else {
-            if (stack.length < 2) {
-                throw new Error("Invalid expression: insufficient operands");
-            }
-            
-            const b = stack.pop();
-            const a = stack.pop();
+    rl.on('line', line => {
+        lineNumber++;
+        if (line.trim() === '') return;
 
-            switch (token) {
-                case '+': stack.push(a + b); break;
-                case '-': stack.push(a - b); break;
-                case '*': stack.push(a * b); break;
-                case '/': 
-                    if (b === 0) {
-                        throw new Error("Division by zero");
-                    }
-                    // Integer division truncating toward zero
-                    stack.push(Math.trunc(a / b)); 
-                    break;
-            }
+        const record = batchRecord(line, lineNumber, env, { mode, trace });
+        if (record.error) {
+            ok = false;
         }
+        console.log(JSON.stringify(record));
     });
 
-    if (stack.length !== 1) {
-        throw new Error("Invalid expression: too many operands");
+    return new Promise((resolve, reject) => {
+        // readline re-emits errors of its input (a missing file, ...) on the interface
+        const fail = (err) => {
+            reject(batchFile && batchFile !== '-' ? new Error(`Cannot read ${batchFile}: ${err.message}`) : err);
+            rl.close();
+        };
+        input.on('error', fail);
+        rl.on('error', fail);
+        rl.on('close', () => resolve(ok));
+    });
+}
+
+const HISTORY_FILE = process.env.EXPR_HISTORY || path.join(require('os').homedir(), '.expr_history');
+const HISTORY_SIZE = 500;
+
+/**
+ * Interactive read-eval-print loop. Variables persist for the session,
+ * 'ans' holds the last result and line history is kept in HISTORY_FILE.
+ */
+function runRepl({ mode, trace }) {
+    const readline = require('readline');
+    let history = [];
+    try {
+        history = fs.readFileSync(HISTORY_FILE, 'utf8').split('\n').filter(Boolean).reverse();
+    } catch (err) {
+        // No history yet
     }
 
-    return stack[0];
-}
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: '> ',
+        history,
+        historySize: HISTORY_SIZE
+    });
+    const env = {};
 
-function evaluateExpression(expression) {
-    const tokens = tokenize(expression);
-    validateTokens(tokens);
-    const postfix = toPostfix(tokens);
-    return evaluatePostfix(postfix);
-}
+    console.log(`Arithmetic evaluator (${mode} mode). Type .help for commands.`);
+    rl.prompt();
 
-// --- Execution ---
+    rl.on('line', line => {
+        const input = line.trim();
+        if (input === '.exit') {
+            rl.close();
+            return;
+        }
+        if (input === '.help') {
+            console.log(".vars   list variables\n.clear  forget all variables\n.exit   quit");
+        } else if (input === '.vars') {
+            Object.keys(env).forEach(name => console.log(`${name} = ${env[name]}`));
+        } else if (input === '.clear') {
+            Object.keys(env).forEach(name => delete env[name]);
+        } else if (input !== '') {
+            try {
+                env.ans = evaluateWithTrace(input, env, { mode, trace });
+                console.log(String(env.ans));
+            } catch (err) {
+                console.error(formatError(err));
+            }
+        }
+        rl.prompt();
+    });
+
+    return new Promise(resolve => {
+        rl.on('close', () => {
+            try {
+                fs.writeFileSync(HISTORY_FILE, rl.history.slice(0, HISTORY_SIZE).reverse().join('\n') + '\n');
+            } catch (err) {
+                // History is best effort
+            }
+            resolve(true);
+        });
+    });
+}
 
-const main = () => {
+const main = async () => {
     try {
-        const inputPath = path.join(__dirname, 'sample_input.txt');
-        
-        if (fs.existsSync(inputPath)) {
-            const fileContent = fs.readFileSync(inputPath, 'utf8').trim();
-            console.log(`Input from file: ${fileContent}`);
-            console.log(`Result: ${evaluateExpression(fileContent)}`);
+        const args = parseArgs(process.argv.slice(2));
+        let ok = true;
+
+        if (args.help) {
+            console.log(USAGE);
+        } else if (args.repl) {
+            ok = await runRepl(args);
+        } else if (args.batch) {
+            ok = await runBatch(args);
+        } else if (args.expressions.length > 0) {
+            ok = runExpressions(args);
         } else {
-            // Run comprehensive test cases
-            console.log("=== Running Test Cases ===\n");
-            
-            const testCases = [
-                { expr: "2+3*4", expected: 14 },
-                { expr: "(10 + 2) * 3 / 4", expected: 9 },
-                { expr: "-5 + 3", expected: -2 },
-                { expr: "2 * -3", expected: -6 },
-                { expr: "(-5 + 3) * 2", expected: -4 },
-                { expr: "10 / 3", expected: 3 },
-                { expr: "-10 / 3", expected: -3 },
-                { expr: "((2+3)*(4-1))/3", expected: 5 },
-                { expr: "100 - 50 + 25", expected: 75 },
-            ];
-
-            let passed = 0;
-            let failed = 0;
-
-            testCases.forEach(({ expr, expected }) => {
-                try {
-                    const result = evaluateExpression(expr);
-                    if (result === expected) {
-                        console.log(`✓ PASS: "${expr}" = ${result}`);
-                        passed++;
-                    } else {
-                        console.log(`✗ FAIL: "${expr}" = ${result} (expected ${expected})`);
-                        failed++;
-                    }
-                } catch (err) {
-                    console.log(`✗ ERROR: "${expr}" - ${err.message}`);
-                    failed++;
-                }
-            });
+            const inputPath = path.join(__dirname, 'sample_input.txt');
+
+            if (fs.existsSync(inputPath)) {
+                const fileContent = fs.readFileSync(inputPath, 'utf8').trim();
+                console.log(`Input from file: ${fileContent}`);
+                console.log(`Result: ${evaluateExpression(fileContent, {}, { mode: args.mode })}`);
+            } else {
+                ok = runTestCases();
+            }
+        }
 
-            console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+        if (!ok) {
+            process.exitCode = 1;
         }
     } catch (error) {
-        console.error("Error:", error.message);
+        console.error("Error:", formatError(error));
         process.exit(1);
     }
 };
 
-main();
\ No newline at end of file
+module.exports = {
+    ExpressionError,
+    LimitError,
+    SAFE_LIMITS,
+    Rational,
+    Quantity,
+    numericModes,
+    functions,
+    registerFunction,
+    units,
+    registerUnit,
+    tokenize,
+    validateTokens,
+    toPostfix,
+    evaluatePostfix,
+    evaluateExpression,
+    traceExpression,
+    parse,
+    print,
+    compile
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+
+/**
+ * Problem 1 (extension): Symbolic Simplification & Differentiation
+ *
+ * Works on the AST produced by `parse` in solution.js.
+ *
+ * Approach:
+ * 1. Simplify: rewrite the tree as a sum of terms, each a rational coefficient
+ *    times a product of factors raised to rational powers (3*x^2*y^-1).
+ *    Constants fold exactly, like terms collect (x + 2*x = 3*x), identities
+ *    such as x*1, x+0 and x^1 disappear, sums shared by a numerator and its
+ *    denominator cancel, and the sum is printed back as infix with the
+ *    highest-degree terms first.
+ * 2. Differentiate: apply the sum, product, quotient, power and chain rules
+ *    node by node, then simplify the result.
+ *
+ * Anything that isn't arithmetic (comparisons, conditionals, unknown calls)
+ * is kept as an opaque factor whose children are still simplified.
+ */
+
+const { parse, print, evaluateExpression, functions, Rational, numericModes } = require('./solution');
+
+const R = numericModes.rational;
+const ZERO = new Rational(0n);
+const ONE = new Rational(1n);
+
+// Products of sums are only expanded while they stay this small
+const MAX_EXPANDED_TERMS = 16;
+
+// --- AST construction ---
+
+const isInteger = (r) => r.den === 1n;
+
+/**
+ * Number node for a Rational: integers and terminating decimals print as
+ * literals, other fractions as a division (7/3).
+ */
+function numberNode(r) {
+    if (r.num < 0n) {
+        return { type: 'Unary', operator: '-', argument: numberNode(R.neg(r)) };
+    }
+    if (isInteger(r)) {
+        return { type: 'Number', raw: `${r.num}`, value: Number(r.num) };
+    }
+    let den = r.den;
+    let places = 0;
+    while (den % 10n === 0n || den % 2n === 0n || den % 5n === 0n) {
+        if (den % 10n === 0n) den /= 10n;
+        else if (den % 2n === 0n) den /= 2n;
+        else den /= 5n;
+        places++;
+    }
+    if (den === 1n) {
+        // Scale by 10^places, which is enough to clear a 2^a * 5^b denominator
+        const digits = `${(r.num * 10n ** BigInt(places)) / r.den}`.padStart(places + 1, '0');
+        const raw = `${digits.slice(0, -places)}.${digits.slice(-places)}`.replace(/\.?0+$/, '');
+        return { type: 'Number', raw, value: Number(raw) };
+    }
+    return binary('/', numberNode(new Rational(r.num)), numberNode(new Rational(r.den)));
+}
+
+const binary = (operator, left, right) => ({ type: 'Binary', operator, left, right });
+
+const call = (name, ...args) => ({ type: 'Call', name, args });
+
+const toAST = (expr) => (typeof expr === 'string' ? parse(expr) : expr);
+
+// --- Normal form ---
+//
+// Sum  = Map<termKey, Term>        (termKey '' is the constant term)
+// Term = { coef: Rational, factors: Map<baseKey, { base: node, exp: Rational }> }
+
+const factorKey = (factors) =>
+    [...factors.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, { exp }]) => `${key}^${exp}`)
+        .join('*');
+
+function addTerm(sum, term) {
+    if (R.isZero(term.coef)) return;
+    const key = factorKey(term.factors);
+    const existing = sum.get(key);
+    if (!existing) {
+        sum.set(key, term);
+        return;
+    }
+    const coef = R.add(existing.coef, term.coef);
+    if (R.isZero(coef)) {
+        sum.delete(key);
+    } else {
+        sum.set(key, { coef, factors: existing.factors });
+    }
+}
+
+const constantSum = (r) => {
+    const sum = new Map();
+    addTerm(sum, { coef: r, factors: new Map() });
+    return sum;
+};
+
+const factorSum = (base, exp = ONE) =>
+    new Map([[`${print(base)}^${exp}`, { coef: ONE, factors: new Map([[print(base), { base, exp }]]) }]]);
+
+const isConstant = (sum) => sum.size === 0 || (sum.size === 1 && sum.has(''));
+
+const constantValue = (sum) => (sum.has('') ? sum.get('').coef : ZERO);
+
+function addSums(a, b) {
+    const sum = new Map(a);
+    b.forEach(term => addTerm(sum, term));
+    return sum;
+}
+
+function scaleSum(a, r) {
+    const sum = new Map();
+    a.forEach(term => addTerm(sum, { coef: R.mul(term.coef, r), factors: term.factors }));
+    return sum;
+}
+
+function multiplyTerms(a, b) {
+    const factors = new Map(a.factors);
+    b.factors.forEach(({ base, exp }, key) => {
+        const existing = factors.get(key);
+        const total = existing ? R.add(existing.exp, exp) : exp;
+        if (R.isZero(total)) {
+            factors.delete(key);
+        } else {
+            factors.set(key, { base, exp: total });
+        }
+    });
+    return { coef: R.mul(a.coef, b.coef), factors };
+}
+
+function multiplySums(a, b) {
+    if (a.size * b.size > MAX_EXPANDED_TERMS) {
+        return multiplySums(factorSum(fromSum(a)), factorSum(fromSum(b)));
+    }
+    const sum = new Map();
+    a.forEach(x => b.forEach(y => addTerm(sum, multiplyTerms(x, y))));
+    return sum;
+}
+
+/**
+ * Raises a sum to a constant power. A single term distributes an integer
+ * power over its factors; small sums with small integer powers are expanded;
+ * anything else stays as an opaque (sum)^n factor. Fractional powers are not
+ * distributed, since (x^2)^0.5 is |x|, not x.
+ */
+function powerSum(a, exp) {
+    if (R.isZero(exp)) return constantSum(ONE);
+    if (R.compare(exp, ONE) === 0) return a;
+    if (a.size === 0) return R.compare(exp, ZERO) > 0 ? new Map() : null;
+
+    if (a.size === 1) {
+        const [term] = a.values();
+        // A lone x^1 can take any power: x^0.5 is just that
+        const [only] = term.factors.size === 1 ? term.factors.values() : [];
+        const plain = R.compare(term.coef, ONE) === 0 && only && R.compare(only.exp, ONE) === 0;
+        const coef = isInteger(exp) ? R.pow(term.coef, exp) : plain ? ONE : null;
+        if (coef) {
+            const factors = new Map();
+            term.factors.forEach(({ base, exp: e }, key) => factors.set(key, { base, exp: R.mul(e, exp) }));
+            return new Map([[factorKey(factors), { coef, factors }]]);
+        }
+    } else if (isInteger(exp) && exp.num > 1n && a.size ** Number(exp.num) <= MAX_EXPANDED_TERMS) {
+        let result = a;
+        for (let i = 1n; i < exp.num; i++) result = multiplySums(result, a);
+        return result;
+    }
+    return factorSum(fromSum(a), exp);
+}
+
+/**
+ * Evaluates a node without free variables exactly. Returns a Rational, or
+ * null when the value isn't a number (booleans, division by zero, ...).
+ */
+function foldConstant(node) {
+    try {
+        const value = evaluateExpression(print(node), {}, { mode: 'rational' });
+        return value instanceof Rational ? value : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// A product as [{ sum, exp }]: each factor's normal form and its constant power
+function productFactors(node) {
+    if (node.type === 'Binary' && node.operator === '*') {
+        return [...productFactors(node.left), ...productFactors(node.right)];
+    }
+    if (node.type === 'Binary' && node.operator === '^') {
+        const exp = toSum(node.right);
+        const value = constantValue(exp);
+        if (isConstant(exp) && isInteger(value) && value.num > 0n) {
+            return [{ sum: toSum(node.left), exp: value }];
+        }
+    }
+    return [{ sum: toSum(node), exp: ONE }];
+}
+
+const productSum = (factors) =>
+    factors.reduce((product, { sum, exp }) => multiplySums(product, powerSum(sum, exp)), constantSum(ONE));
+
+/**
+ * Normal form of numerator / denominator. Sums found on both sides cancel
+ * first, (x + 1)^2 / (x + 1) = x + 1; if the denominator is still a sum, the
+ * quotient stays one term rather than spreading the numerator over it.
+ */
+function quotientSum(numerator, denominator) {
+    const top = productFactors(numerator);
+    const bottom = productFactors(denominator);
+    const keyOf = (sum) => print(fromSum(sum));
+    // Single terms already cancel factor by factor in multiplyTerms
+    bottom.filter(factor => factor.sum.size > 1).forEach(factor => {
+        top.filter(other => other.sum.size > 1 && keyOf(other.sum) === keyOf(factor.sum)).forEach(other => {
+            const common = R.compare(other.exp, factor.exp) < 0 ? other.exp : factor.exp;
+            other.exp = R.sub(other.exp, common);
+            factor.exp = R.sub(factor.exp, common);
+        });
+    });
+
+    const topSum = productSum(top);
+    const bottomSum = productSum(bottom);
+    if (isConstant(bottomSum) && R.isZero(constantValue(bottomSum))) {
+        // Keep division by zero visible rather than folding it away
+        return factorSum(binary('/', fromSum(topSum), fromSum(bottomSum)));
+    }
+    const inverse = powerSum(bottomSum, R.neg(ONE));
+    return multiplySums(bottomSum.size > 1 && topSum.size > 1 ? factorSum(fromSum(topSum)) : topSum, inverse);
+}
+
+/**
+ * Converts an AST node to its normal form.
+ */
+function toSum(node) {
+    switch (node.type) {
+        case 'Number':
+            return constantSum(R.fromLiteral(node.raw));
+        case 'Identifier':
+        case 'Quantity':
+            return factorSum(node);
+        case 'Unary': {
+            const argument = toSum(node.argument);
+            if (node.operator === '-') return scaleSum(argument, R.neg(ONE));
+            if (node.operator === '+') return argument;
+            if (node.operator === '%' && node.postfix) return scaleSum(argument, new Rational(1n, 100n));
+            return opaque({ ...node, argument: fromSum(argument) });
+        }
+        case 'Binary': {
+            if (node.operator === '/') return quotientSum(node.left, node.right);
+            const left = toSum(node.left);
+            const right = toSum(node.right);
+            switch (node.operator) {
+                case '+': return addSums(left, right);
+                case '-': return addSums(left, scaleSum(right, R.neg(ONE)));
+                case '*': return multiplySums(left, right);
+                case '^':
+                    if (isConstant(right)) {
+                        const power = powerSum(left, constantValue(right));
+                        if (power) return power;
+                    }
+                    return factorSum(binary('^', fromSum(left), fromSum(right)));
+                default:
+                    return opaque({ ...node, left: fromSum(left), right: fromSum(right) });
+            }
+        }
+        case 'Call': {
+            const args = node.args.map(arg => fromSum(toSum(arg)));
+            const simplified = { type: 'Call', name: node.name, args };
+            const value = args.every(arg => isConstant(toSum(arg))) ? foldConstant(simplified) : null;
+            // Only fold calls whose result is exact, so sqrt(2) stays symbolic
+            if (value && (isInteger(value) || (functions[node.name] && functions[node.name].exact))) {
+                return constantSum(value);
+            }
+            return factorSum(simplified);
+        }
+        case 'Conditional':
+            return opaque({
+                ...node,
+                test: fromSum(toSum(node.test)),
+                consequent: fromSum(toSum(node.consequent)),
+                alternate: fromSum(toSum(node.alternate))
+            });
+        default:
+            throw new Error(`Cannot simplify node: ${node.type}`);
+    }
+}
+
+// A non-arithmetic node: folded if it is a numeric constant, else kept whole
+function opaque(node) {
+    const value = foldConstant(node);
+    return value ? constantSum(value) : factorSum(node);
+}
+
+const degree = (term) => [...term.factors.values()].reduce((total, { exp }) => total + R.toNumber(exp), 0);
+
+function productNode(nodes) {
+    return nodes.reduce((product, node) => (product ? binary('*', product, node) : node), null);
+}
+
+function termNode(term) {
+    const negative = R.compare(term.coef, ZERO) < 0;
+    const coef = negative ? R.neg(term.coef) : term.coef;
+    if (term.factors.size === 0) return numberNode(term.coef);
+
+    const numerator = [];
+    const denominator = [];
+
+    if (coef.num !== 1n) numerator.push(numberNode(new Rational(coef.num)));
+    if (coef.den !== 1n) denominator.push(numberNode(new Rational(coef.den)));
+
+    [...term.factors.values()]
+        .sort((a, b) => R.compare(b.exp, a.exp))
+        .forEach(({ base, exp }) => {
+            const positive = R.compare(exp, ZERO) > 0;
+            const power = positive ? exp : R.neg(exp);
+            const factor = R.compare(power, ONE) === 0 ? base : binary('^', base, numberNode(power));
+            (positive ? numerator : denominator).push(factor);
+        });
+
+    if (numerator.length === 0) numerator.push(numberNode(ONE));
+    if (negative) {
+        numerator[0] = { type: 'Unary', operator: '-', argument: numerator[0] };
+    }
+    const top = productNode(numerator);
+    return denominator.length > 0 ? binary('/', top, productNode(denominator)) : top;
+}
+
+/**
+ * Converts a normal form back to an AST: highest degree first, constant
+ * last, negative terms as subtraction.
+ */
+function fromSum(sum) {
+    const terms = [...sum.entries()]
+        .sort(([keyA, a], [keyB, b]) => (keyA === '') - (keyB === '') || degree(b) - degree(a)
+            || (keyA < keyB ? -1 : keyA > keyB ? 1 : 0))
+        .map(([, term]) => term);
+
+    if (terms.length === 0) return numberNode(ZERO);
+
+    return terms.reduce((node, term, i) => {
+        if (i === 0) return termNode(term);
+        if (R.compare(term.coef, ZERO) < 0) {
+            return binary('-', node, termNode({ coef: R.neg(term.coef), factors: term.factors }));
+        }
+        return binary('+', node, termNode(term));
+    }, null);
+}
+
+// --- Public API ---
+
+/**
+ * Simplifies an expression (string or AST) and returns the simplified AST.
+ *   print(simplify("x*1 + 0 + 2*x + 3*4"))  =>  "3 * x + 12"
+ */
+function simplify(expr) {
+    const node = toAST(expr);
+    if (node.type === 'Assignment') {
+        return { ...node, value: simplify(node.value) };
+    }
+    if (node.type === 'Sequence') {
+        return { ...node, body: node.body.map(simplify) };
+    }
+    return fromSum(toSum(node));
+}
+
+const dependsOn = (node, variable) => {
+    switch (node.type) {
+        case 'Identifier': return node.name === variable;
+        case 'Number':
+        case 'Quantity': return false;
+        case 'Unary': return dependsOn(node.argument, variable);
+        case 'Binary': return dependsOn(node.left, variable) || dependsOn(node.right, variable);
+        case 'Call': return node.args.some(arg => dependsOn(arg, variable));
+        case 'Conditional':
+            return [node.test, node.consequent, node.alternate].some(child => dependsOn(child, variable));
+        default: return true;
+    }
+};
+
+const ZERO_NODE = numberNode(ZERO);
+const ONE_NODE = numberNode(ONE);
+
+// Derivatives of single-argument functions, as f'(u) for argument u
+const chainRules = {
+    sqrt: (u) => binary('/', ONE_NODE, binary('*', numberNode(new Rational(2n)), call('sqrt', u))),
+    exp: (u) => call('exp', u),
+    ln: (u) => binary('/', ONE_NODE, u),
+    sin: (u) => call('cos', u),
+    cos: (u) => ({ type: 'Unary', operator: '-', argument: call('sin', u) }),
+    tan: (u) => binary('/', ONE_NODE, binary('^', call('cos', u), numberNode(new Rational(2n)))),
+    abs: (u) => binary('/', u, call('abs', u))
+};
+
+function derive(node, variable) {
+    if (!dependsOn(node, variable)) return ZERO_NODE;
+
+    switch (node.type) {
+        case 'Identifier':
+            return ONE_NODE;
+        case 'Unary':
+            if (node.operator === 'in') {
+                throw new Error(`Cannot differentiate unit conversions: ${print(node)}`);
+            }
+            if (node.operator === '-' || node.operator === '+' || node.postfix) {
+                return { ...node, argument: derive(node.argument, variable) };
+            }
+            break;
+        case 'Binary': {
+            const { left: u, right: v } = node;
+            const du = derive(u, variable);
+            const dv = derive(v, variable);
+            switch (node.operator) {
+                case '+':
+                case '-':
+                    return binary(node.operator, du, dv);
+                case '*':
+                    return binary('+', binary('*', du, v), binary('*', u, dv));
+                case '/':
+                    return binary('/',
+                        binary('-', binary('*', du, v), binary('*', u, dv)),
+                        binary('^', v, numberNode(new Rational(2n))));
+                case '^':
+                    if (!dependsOn(v, variable)) {
+                        // Power rule: (u^n)' = n * u^(n - 1) * u'
+                        return binary('*', binary('*', v, binary('^', u, binary('-', v, ONE_NODE))), du);
+                    }
+                    // General case: (u^v)' = u^v * (v' * ln(u) + v * u' / u)
+                    return binary('*', node, binary('+',
+                        binary('*', dv, call('ln', u)),
+                        binary('/', binary('*', v, du), u)));
+                default:
+                    break;
+            }
+            break;
+        }
+        case 'Call':
+            if (chainRules[node.name] && node.args.length === 1) {
+                const [u] = node.args;
+                return binary('*', chainRules[node.name](u), derive(u, variable));
+            }
+            throw new Error(`Cannot differentiate ${node.name}()`);
+        default:
+            break;
+    }
+    throw new Error(`Cannot differentiate ${print(node)}`);
+}
+
+/**
+ * Differentiates an expression (string or AST) with respect to `variable`
+ * and returns the simplified derivative as an AST.
+ *   print(differentiate("3*x^2 + 2*x", "x"))  =>  "6 * x + 2"
+ */
+function differentiate(expr, variable) {
+    const node = toAST(expr);
+    if (node.type === 'Assignment' || node.type === 'Sequence') {
+        throw new Error("Cannot differentiate assignments; pass the expression only");
+    }
+    return simplify(derive(node, variable));
+}
+
+// --- Execution ---
+
+/**
+ * Runs the built-in test cases. Returns true when all of them pass.
+ */
+const runTestCases = () => {
+    console.log("=== Running Test Cases ===\n");
+
+    const simplifyCases = [
+        { expr: "x*1 + 0 + 2*x + 3*4", expected: "3 * x + 12" },
+        { expr: "(x + 1)^2", expected: "x^2 + 2 * x + 1" },
+        { expr: "x - x + y / y", expected: "1" },
+        { expr: "2 * x * 3 * x / 4", expected: "3 * x^2 / 2" },
+        { expr: "(2 * x)^3 / x^2", expected: "8 * x" },
+        { expr: "1 / (x * y)", expected: "1 / (x * y)" },
+        { expr: "(x+1)/(x+1)", expected: "1" },
+        { expr: "(x+1)*(x+1)/(x+1)", expected: "x + 1" },
+        { expr: "(x^2 - 1) / (x - 1)", expected: "(x^2 - 1) / (x - 1)" },
+        { expr: "2 * x / (x + 1)", expected: "2 * x / (x + 1)" },
+        { expr: "0.1 + 0.2 + 1/3", expected: "19 / 30" },
+        { expr: "sqrt(16) + sqrt(2)", expected: "sqrt(2) + 4" },
+        { expr: "(x^0.5)^2", expected: "x" },
+        { expr: "(x^2)^0.5", expected: "(x^2)^0.5" },
+        { expr: "(4 * x^2)^0.5", expected: "(4 * x^2)^0.5" },
+        { expr: "x > 1 ? 2 * 3 : x + x", expected: "x > 1 ? 6 : 2 * x" },
+        { expr: "y = x + x", expected: "y = 2 * x" },
+    ];
+
+    const differentiateCases = [
+        { expr: "3*x^2 + 2*x", variable: "x", expected: "6 * x + 2" },
+        { expr: "x * y + y^2", variable: "y", expected: "x + 2 * y" },
+        { expr: "1 / x", variable: "x", expected: "-1 / x^2" },
+        { expr: "sin(2 * x)", variable: "x", expected: "2 * cos(2 * x)" },
+        { expr: "sqrt(x)", variable: "x", expected: "1 / (2 * sqrt(x))" },
+        { expr: "exp(x^2)", variable: "x", expected: "2 * exp(x^2) * x" },
+        { expr: "5 * y", variable: "x", expected: "0" },
+        { expr: "50% * x", variable: "x", expected: "0.5" },
+        { expr: "x in m", variable: "x", error: "Cannot differentiate unit conversions: x in m" },
+        { expr: "max(x, 1)", variable: "x", error: "Cannot differentiate max()" },
+        { expr: "x > 1 ? x : 1", variable: "x", error: "Cannot differentiate x > 1 ? x : 1" },
+        { expr: "y = x", variable: "x", error: "Cannot differentiate assignments; pass the expression only" },
+    ];
+
+    let passed = 0;
+    let failed = 0;
+
+    const check = (label, compute, expected, error) => {
+        try {
+            const result = compute();
+            if (!error && result === expected) {
+                console.log(`✓ PASS: ${label} = ${result}`);
+                passed++;
+            } else {
+                console.log(`✗ FAIL: ${label} = ${result} (expected ${error ? `error "${error}"` : expected})`);
+                failed++;
+            }
+        } catch (err) {
+            if (error && err.message === error) {
+                console.log(`✓ PASS: ${label} throws "${err.message}"`);
+                passed++;
+            } else {
+                console.log(`✗ ERROR: ${label} - ${err.message}`);
+                failed++;
+            }
+        }
+    };
+
+    simplifyCases.forEach(({ expr, expected }) => {
+        check(`simplify("${expr}")`, () => print(simplify(expr)), expected);
+    });
+    differentiateCases.forEach(({ expr, variable, expected, error }) => {
+        check(`d/d${variable} "${expr}"`, () => print(differentiate(expr, variable)), expected, error);
+    });
+
+    console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+    return failed === 0;
+};
+
+const main = () => {
+    const [expr, variable] = process.argv.slice(2);
+    if (!expr) {
+        // Usage: node symbolic.js <expression> [variable]
+        if (!runTestCases()) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    try {
+        console.log(`Simplified: ${print(simplify(expr))}`);
+        if (variable) {
+            console.log(`d/d${variable}:      ${print(differentiate(expr, variable))}`);
+        }
+    } catch (error) {
+        console.error("Error:", typeof error.format === 'function' ? error.format() : error.message);
+        process.exit(1);
+    }
+};
+
+module.exports = {
+    simplify,
+    differentiate
+};
+
+if (require.main === module) {
+    main();
+}
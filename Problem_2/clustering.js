@@ -0,0 +1,122 @@
+/**
+ * Problem 2 (extension): Stop clustering
+ *
+ * Groups idling events into recurring stop locations.
+ *
+ * Approach:
+ * 1. DBSCAN over the event locations: events within `radiusM` metres of each
+ *    other (directly or through a chain of neighbours) share a cluster. With
+ *    the default minPoints of 1 every event belongs to some cluster.
+ * 2. Within a cluster, events separated by less than `mergeGapSec` are one
+ *    visit, so a stop interrupted by a single bad fix is not counted twice.
+ *
+ * Complexity: O(k^2) for k idling events, which are few compared to fixes.
+ */
+
+const geolib = require('geolib');
+
+const NOISE = -1;
+
+/**
+ * Density-based clustering. `distance(a, b)` is in the same unit as
+ * `radius`. Returns one cluster index per item, or NOISE (-1) for items with
+ * fewer than `minPoints` neighbours (itself included) that are not reachable
+ * from a cluster.
+ */
+function dbscan(items, { radius, minPoints = 1, distance }) {
+  const labels = new Array(items.length).fill(undefined);
+  const neighbours = (i) => items.reduce((found, item, j) => {
+    if (distance(items[i], item) <= radius) found.push(j);
+    return found;
+  }, []);
+
+  let cluster = 0;
+  for (let i = 0; i < items.length; i++) {
+    if (labels[i] !== undefined) continue;
+
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    labels[i] = cluster;
+    for (let k = 0; k < seeds.length; k++) {
+      const j = seeds[k];
+      if (labels[j] === NOISE) labels[j] = cluster; // Border point
+      if (labels[j] !== undefined) continue;
+
+      labels[j] = cluster;
+      const reachable = neighbours(j);
+      if (reachable.length >= minPoints) seeds.push(...reachable);
+    }
+    cluster++;
+  }
+
+  return labels;
+}
+
+const metres = (a, b) => geolib.getDistance(
+  { latitude: a.lat, longitude: a.lon },
+  { latitude: b.lat, longitude: b.lon }
+);
+
+/**
+ * Cluster idling events (from processGPSData) into stop locations.
+ *
+ * Returns clusters sorted by total dwell time, longest first:
+ * { id, lat, lon, radiusM, events, visits, totalDwellSec, firstVisit, lastVisit }
+ * where lat/lon is the centroid, radiusM the distance to its farthest event,
+ * and firstVisit/lastVisit are the start of the first and end of the last
+ * visit.
+ */
+function clusterStops(idlingPoints, { radiusM, mergeGapSec, minPoints = 1 }) {
+  const labels = dbscan(idlingPoints, { radius: radiusM, minPoints, distance: metres });
+  const groups = new Map();
+  labels.forEach((label, i) => {
+    if (label === NOISE) return;
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(idlingPoints[i]);
+  });
+
+  const clusters = [...groups.values()].map(events => {
+    const center = {
+      lat: events.reduce((sum, e) => sum + e.lat, 0) / events.length,
+      lon: events.reduce((sum, e) => sum + e.lon, 0) / events.length
+    };
+
+    // Merge events close in time into visits
+    const sorted = [...events].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    const visits = [];
+    sorted.forEach(event => {
+      const start = new Date(event.startTime);
+      const end = new Date(event.endTime);
+      const last = visits[visits.length - 1];
+      if (last && (start - last.end) / 1000 <= mergeGapSec) {
+        if (end > last.end) last.end = end;
+      } else {
+        visits.push({ start, end });
+      }
+    });
+
+    return {
+      ...center,
+      radiusM: Math.max(...events.map(e => metres(center, e))),
+      events: events.length,
+      visits: visits.length,
+      totalDwellSec: visits.reduce((sum, v) => sum + (v.end - v.start) / 1000, 0),
+      firstVisit: visits[0].start,
+      lastVisit: visits[visits.length - 1].end
+    };
+  });
+
+  return clusters
+    .sort((a, b) => b.totalDwellSec - a.totalDwellSec)
+    .map((cluster, i) => ({ id: i + 1, ...cluster }));
+}
+
+module.exports = {
+  NOISE,
+  dbscan,
+  clusterStops
+};
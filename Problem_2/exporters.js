@@ -0,0 +1,286 @@
+/**
+ * Problem 2 (extension): GPS Track Exporters
+ *
+ * Writes the result of processGPSData in formats GIS tools and dashboards
+ * can load:
+ * - GeoJSON: a FeatureCollection (RFC 7946)
+ * - GPX 1.1: waypoints plus one track
+ * - KML 2.2: a Document of Placemarks
+ *
+ * Every export holds the same three layers:
+ * 1. The clean route, as a LineString / track.
+ * 2. Jitters, as points flagged "jitter" with their original timestamp.
+ * 3. Idling events, as points carrying duration, start time and end time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['geojson', 'gpx', 'kml'];
+
+const EXTENSIONS = {
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.gpx': 'gpx',
+  '.kml': 'kml'
+};
+
+const CREATOR = 'GPS Smoothing & Idling Detection';
+
+// --- Shared helpers ---
+
+const isoTime = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const describeIdle = (idle) =>
+  `Idle for ${Math.round(idle.duration / 60)} min (${idle.duration} s) from ${isoTime(idle.startTime)} to ${isoTime(idle.endTime)}`;
+
+// --- GeoJSON ---
+
+/**
+ * GeoJSON FeatureCollection. Coordinates are [lon, lat]; each feature's
+ * `properties.kind` is 'route', 'jitter' or 'idle'.
+ */
+function toGeoJSON({ cleanPath, jitters, idlingPoints }) {
+  const features = [];
+
+  if (cleanPath.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: cleanPath.map(p => [p.lon, p.lat])
+      },
+      properties: {
+        kind: 'route',
+        points: cleanPath.length,
+        startTime: isoTime(cleanPath[0].gpstime),
+        endTime: isoTime(cleanPath[cleanPath.length - 1].gpstime),
+        times: cleanPath.map(p => isoTime(p.gpstime)),
+        // Kalman-smoothed routes: 1 sigma position error per point, in metres
+        ...(cleanPath[0].uncertainty !== undefined ? { uncertainty: cleanPath.map(p => p.uncertainty) } : {})
+      }
+    });
+  }
+
+  jitters.forEach(p => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [p.lon, p.lat] },
+      properties: {
+        kind: 'jitter',
+        flagged: true,
+        gpstime: isoTime(p.gpstime),
+        ...(p.id !== undefined ? { id: p.id } : {})
+      }
+    });
+  });
+
+  idlingPoints.forEach(p => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [p.lon, p.lat] },
+      properties: {
+        kind: 'idle',
+        duration: p.duration,
+        startTime: isoTime(p.startTime),
+        endTime: isoTime(p.endTime)
+      }
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+// --- GPX 1.1 ---
+
+const gpxWaypoint = (lat, lon, { time, name, desc, type }) => [
+  `  <wpt lat="${lat}" lon="${lon}">`,
+  time ? `    <time>${time}</time>` : null,
+  `    <name>${escapeXML(name)}</name>`,
+  desc ? `    <desc>${escapeXML(desc)}</desc>` : null,
+  `    <type>${type}</type>`,
+  '  </wpt>'
+].filter(line => line !== null).join('\n');
+
+/**
+ * GPX 1.1. Jitters and idling events are waypoints told apart by <type>
+ * ('jitter' / 'idle'); an idle waypoint's <time> is its start, and its
+ * <desc> gives the duration and end. The clean route is the single <trk>.
+ */
+function toGPX({ cleanPath, jitters, idlingPoints }) {
+  const waypoints = [
+    ...jitters.map((p, i) => gpxWaypoint(p.lat, p.lon, {
+      time: isoTime(p.gpstime),
+      name: `Jitter ${i + 1}`,
+      desc: 'Removed due to unrealistic speed',
+      type: 'jitter'
+    })),
+    ...idlingPoints.map((p, i) => gpxWaypoint(p.lat, p.lon, {
+      time: isoTime(p.startTime),
+      name: `Idle ${i + 1}`,
+      desc: describeIdle(p),
+      type: 'idle'
+    }))
+  ];
+
+  const trackPoints = cleanPath.map(p => {
+    const time = isoTime(p.gpstime);
+    return `      <trkpt lat="${p.lat}" lon="${p.lon}">${time ? `<time>${time}</time>` : ''}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXML(CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1"`,
+    '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+    '  <metadata>',
+    '    <name>Clean GPS track</name>',
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    '  <trk>',
+    '    <name>Clean Route</name>',
+    '    <type>route</type>',
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// --- KML 2.2 ---
+
+const kmlData = (fields) => [
+  '      <ExtendedData>',
+  ...Object.entries(fields).map(([name, value]) =>
+    `        <Data name="${name}"><value>${escapeXML(value)}</value></Data>`),
+  '      </ExtendedData>'
+].join('\n');
+
+/**
+ * KML 2.2 Document with one folder per layer. The route is a LineString
+ * with a TimeSpan; jitters carry a TimeStamp and idling events a TimeSpan,
+ * with the raw values repeated in ExtendedData.
+ */
+function toKML({ cleanPath, jitters, idlingPoints }) {
+  const placemarks = {
+    route: [],
+    jitter: [],
+    idle: []
+  };
+
+  if (cleanPath.length > 0) {
+    const begin = isoTime(cleanPath[0].gpstime);
+    const end = isoTime(cleanPath[cleanPath.length - 1].gpstime);
+    placemarks.route.push([
+      '    <Placemark>',
+      '      <name>Clean Route</name>',
+      `      <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>`,
+      '      <styleUrl>#route</styleUrl>',
+      kmlData({ kind: 'route', points: cleanPath.length }),
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${cleanPath.map(p => `${p.lon},${p.lat}`).join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>'
+    ].join('\n'));
+  }
+
+  jitters.forEach((p, i) => {
+    const time = isoTime(p.gpstime);
+    placemarks.jitter.push([
+      '    <Placemark>',
+      `      <name>Jitter ${i + 1}</name>`,
+      `      <TimeStamp><when>${time}</when></TimeStamp>`,
+      '      <styleUrl>#jitter</styleUrl>',
+      kmlData({ kind: 'jitter', flagged: true, gpstime: time }),
+      `      <Point><coordinates>${p.lon},${p.lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n'));
+  });
+
+  idlingPoints.forEach((p, i) => {
+    const begin = isoTime(p.startTime);
+    const end = isoTime(p.endTime);
+    placemarks.idle.push([
+      '    <Placemark>',
+      `      <name>Idle ${i + 1}</name>`,
+      `      <description>${escapeXML(describeIdle(p))}</description>`,
+      `      <TimeSpan><begin>${begin}</begin><end>${end}</end></TimeSpan>`,
+      '      <styleUrl>#idle</styleUrl>',
+      kmlData({ kind: 'idle', duration: p.duration, startTime: begin, endTime: end }),
+      `      <Point><coordinates>${p.lon},${p.lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n'));
+  });
+
+  const folder = (name, items) => [
+    '    <Folder>',
+    `      <name>${name}</name>`,
+    ...items.map(item => item.replace(/^/gm, '  ')),
+    '    </Folder>'
+  ].join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Clean GPS track</name>',
+    // KML colours are aabbggrr
+    '    <Style id="route"><LineStyle><color>b3ff0000</color><width>4</width></LineStyle></Style>',
+    '    <Style id="jitter"><IconStyle><color>ff0000ff</color></IconStyle></Style>',
+    '    <Style id="idle"><IconStyle><color>ff008cff</color></IconStyle></Style>',
+    folder('Clean Route', placemarks.route),
+    folder('Jitters', placemarks.jitter),
+    folder('Idling Points', placemarks.idle),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+const WRITERS = { geojson: toGeoJSON, gpx: toGPX, kml: toKML };
+
+/**
+ * Serialize a processGPSData result as `format` ('geojson', 'gpx' or 'kml')
+ */
+function exportResult(result, format) {
+  if (!WRITERS[format]) {
+    throw new Error(`Unknown export format: ${format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  return WRITERS[format](result);
+}
+
+/**
+ * Write a processGPSData result to `filePath`, choosing the format from the
+ * file extension unless `format` is given. Returns the format used.
+ */
+function exportFile(result, filePath, format) {
+  const chosen = format || EXTENSIONS[path.extname(filePath).toLowerCase()];
+  if (!chosen) {
+    throw new Error(`Cannot tell export format from ${filePath}; use a .geojson, .gpx or .kml extension`);
+  }
+  fs.writeFileSync(filePath, exportResult(result, chosen));
+  return chosen;
+}
+
+module.exports = {
+  FORMATS,
+  toGeoJSON,
+  toGPX,
+  toKML,
+  exportResult,
+  exportFile
+};
@@ -0,0 +1,149 @@
+/**
+ * Problem 2 (extension): Geofences
+ *
+ * Named polygon and circle zones (depots, customer sites, ...) checked
+ * against the clean path.
+ *
+ * Approach:
+ * 1. Normalize zones from GeoJSON (Polygon / MultiPolygon features, and
+ *    Point features with a `radius` property in metres for circles) or from
+ *    plain { name, lat, lon, radius } / { name, polygon: [[lat, lon], ...] }
+ *    objects.
+ * 2. Walk the clean path once, per zone: the first fix inside is an 'enter'
+ *    event, the first fix outside again an 'exit' event. The time between
+ *    them is one visit's dwell time.
+ * 3. Tag idling events with the zone they happened in.
+ *
+ * Complexity: O(n * z) point-in-zone tests for n points and z zones.
+ */
+
+const geolib = require('geolib');
+
+/**
+ * Turn GeoJSON (FeatureCollection, Feature or geometry) or an array of plain
+ * zone objects into a list of zones:
+ * { name, type: 'circle', lat, lon, radius } or
+ * { name, type: 'polygon', polygons: [[outer ring, ...holes], ...] },
+ * rings being arrays of { latitude, longitude }
+ */
+function loadGeofences(source) {
+  const ring = (coordinates) => coordinates.map(([longitude, latitude]) => ({ latitude, longitude }));
+  const fences = [];
+
+  const add = (geometry, properties = {}, index) => {
+    const name = String(properties.name || properties.id || `Zone ${index + 1}`);
+    if (!geometry) {
+      throw new Error(`Geofence ${name} has no geometry`);
+    }
+    if (geometry.type === 'Polygon') {
+      fences.push({ name, type: 'polygon', polygons: [geometry.coordinates.map(ring)] });
+    } else if (geometry.type === 'MultiPolygon') {
+      fences.push({ name, type: 'polygon', polygons: geometry.coordinates.map(polygon => polygon.map(ring)) });
+    } else if (geometry.type === 'Point') {
+      const radius = Number(properties.radius);
+      if (!(radius > 0)) {
+        throw new Error(`Geofence ${name} is a Point without a positive "radius" property (metres)`);
+      }
+      fences.push({ name, type: 'circle', lat: geometry.coordinates[1], lon: geometry.coordinates[0], radius });
+    } else {
+      throw new Error(`Geofence ${name} has unsupported geometry ${geometry.type} (use Polygon, MultiPolygon or Point with radius)`);
+    }
+  };
+
+  if (Array.isArray(source)) {
+    source.forEach((zone, i) => {
+      if (zone.type === 'circle' || zone.type === 'polygon') {
+        fences.push(zone); // Already loaded
+      } else if (zone.type === 'Feature' || zone.coordinates) {
+        add(zone.geometry || zone, zone.properties || {}, i);
+      } else if (Array.isArray(zone.polygon)) {
+        // Plain polygons are [lat, lon] pairs, unlike GeoJSON
+        add({ type: 'Polygon', coordinates: [zone.polygon.map(([lat, lon]) => [lon, lat])] }, zone, i);
+      } else {
+        add({ type: 'Point', coordinates: [zone.lon, zone.lat] }, zone, i);
+      }
+    });
+  } else if (source && source.type === 'FeatureCollection') {
+    source.features.forEach((feature, i) => add(feature.geometry, feature.properties || {}, i));
+  } else if (source && source.type === 'Feature') {
+    add(source.geometry, source.properties || {}, 0);
+  } else if (source && source.type) {
+    add(source, {}, 0);
+  } else {
+    throw new Error('Geofences must be GeoJSON or an array of zones');
+  }
+
+  const names = new Set();
+  fences.forEach(fence => {
+    if (names.has(fence.name)) throw new Error(`Duplicate geofence name: ${fence.name}`);
+    names.add(fence.name);
+  });
+  return fences;
+}
+
+/**
+ * Is `point` ({ lat, lon }) inside `fence`? Polygon holes are excluded.
+ */
+function isInside(fence, point) {
+  const location = { latitude: point.lat, longitude: point.lon };
+  if (fence.type === 'circle') {
+    return geolib.isPointWithinRadius(location, { latitude: fence.lat, longitude: fence.lon }, fence.radius);
+  }
+  return fence.polygons.some(([outer, ...holes]) =>
+    geolib.isPointInPolygon(location, outer) && !holes.some(hole => geolib.isPointInPolygon(location, hole)));
+}
+
+/**
+ * Enter/exit events along a time-ordered clean path, and dwell time per zone.
+ * Returns { events, zones }:
+ * - events: { zone, type: 'enter' | 'exit', time, lat, lon } in time order
+ * - zones: { name, visits, dwellSec, firstEnter, lastExit } per fence; a
+ *   visit still open at the end of the path counts until the last fix
+ */
+function trackGeofences(cleanPath, fences) {
+  const events = [];
+  const zones = fences.map(fence => ({ name: fence.name, visits: 0, dwellSec: 0, firstEnter: null, lastExit: null }));
+  const enteredAt = fences.map(() => null);
+
+  cleanPath.forEach(point => {
+    const time = new Date(point.gpstime);
+    fences.forEach((fence, z) => {
+      const inside = isInside(fence, point);
+      if (inside && !enteredAt[z]) {
+        enteredAt[z] = time;
+        zones[z].visits++;
+        if (!zones[z].firstEnter) zones[z].firstEnter = time;
+        events.push({ zone: fence.name, type: 'enter', time, lat: point.lat, lon: point.lon });
+      } else if (!inside && enteredAt[z]) {
+        zones[z].dwellSec += (time - enteredAt[z]) / 1000;
+        zones[z].lastExit = time;
+        enteredAt[z] = null;
+        events.push({ zone: fence.name, type: 'exit', time, lat: point.lat, lon: point.lon });
+      }
+    });
+  });
+
+  if (cleanPath.length > 0) {
+    const end = new Date(cleanPath[cleanPath.length - 1].gpstime);
+    enteredAt.forEach((start, z) => {
+      if (start) zones[z].dwellSec += (end - start) / 1000;
+    });
+  }
+
+  return { events, zones };
+}
+
+/**
+ * Name of the first fence containing `point`, or null
+ */
+function zoneOf(fences, point) {
+  const fence = fences.find(f => isInside(f, point));
+  return fence ? fence.name : null;
+}
+
+module.exports = {
+  loadGeofences,
+  isInside,
+  trackGeofences,
+  zoneOf
+};
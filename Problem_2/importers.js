@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+
+/**
+ * Problem 2 (extension): GPS Track Importers
+ *
+ * Normalizes GPX, KML, CSV, NMEA and JSON tracks into the point format
+ * processGPSData expects: { gpstime, lat, lon } plus an optional id, and a
+ * vehicle key for CSV files that mix several devices.
+ *
+ * Approach:
+ * 1. Detect the format from the file extension, or else from the content.
+ * 2. Parse it record by record. A record that can't be read (missing
+ *    coordinates, unparseable time, bad NMEA checksum, ...) is skipped and
+ *    reported with its line number instead of failing the whole import.
+ *
+ * XML is read with regular expressions rather than a full parser: track
+ * points are flat elements, and this keeps geolib the only dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['json', 'gpx', 'kml', 'csv', 'nmea'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.gpx': 'gpx',
+  '.kml': 'kml',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.nmea': 'nmea',
+  '.nma': 'nmea'
+};
+
+/**
+ * Guess the format of `text`, preferring the extension of `filename`
+ */
+function detectFormat(text, filename) {
+  const extension = filename ? path.extname(filename).toLowerCase() : '';
+  if (EXTENSIONS[extension]) return EXTENSIONS[extension];
+
+  const head = text.slice(0, 2000).trimStart();
+  if (head.startsWith('[') || head.startsWith('{')) return 'json';
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<kml[\s>]/i.test(head)) return 'kml';
+  if (/^\$G[PNL][A-Z]{3},/m.test(head)) return 'nmea';
+  return 'csv';
+}
+
+// --- Shared helpers ---
+
+// Line numbers for offsets into `text`, counted on from the last offset
+// asked for, so a pass through the file in order stays linear
+const lineCounter = (text) => {
+  let offset = 0;
+  let line = 1;
+  return (index) => {
+    if (index < offset) {
+      offset = 0;
+      line = 1;
+    }
+    for (; offset < index; offset++) {
+      if (text.charCodeAt(offset) === 10) line++;
+    }
+    return line;
+  };
+};
+
+/**
+ * Parse a timestamp into an ISO string, or null. Accepts anything Date
+ * understands, Unix epochs in seconds (10 digits) or milliseconds (13
+ * digits) and compact YYYYMMDD[hhmmss] dates in UTC; other digit-only values
+ * are rejected rather than read as an epoch.
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  let date;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const digits = text.split('.')[0].length;
+    const compact = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2}))?$/.exec(text);
+    if (digits === 10 || digits === 13) {
+      date = new Date(digits === 10 ? Number(text) * 1000 : Number(text));
+    } else if (compact) {
+      const [year, month, day, hour, minute, second] = compact.slice(1).map(part => Number(part || 0));
+      date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+      // Date.UTC rolls 20250230 over to March; treat that as invalid
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || date.getUTCHours() !== hour
+        || date.getUTCMinutes() !== minute || date.getUTCSeconds() !== second) {
+        return null;
+      }
+    } else {
+      return null;
+    }
+  } else {
+    date = new Date(text);
+  }
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a point from raw field values, or describe why it can't be built:
+ * { error, verdict } with verdict 'invalid-coordinate' or 'invalid-time'
+ */
+function makePoint(lat, lon, time, id, vehicle) {
+  const latitude = typeof lat === 'number' ? lat : Number(String(lat).trim());
+  const longitude = typeof lon === 'number' ? lon : Number(String(lon).trim());
+  const badCoordinate = (error) => ({ error, verdict: 'invalid-coordinate' });
+
+  if (lat === undefined || lat === null || lat === '' || !Number.isFinite(latitude)) {
+    return badCoordinate(`Invalid latitude: ${lat === undefined ? 'missing' : JSON.stringify(lat)}`);
+  }
+  if (lon === undefined || lon === null || lon === '' || !Number.isFinite(longitude)) {
+    return badCoordinate(`Invalid longitude: ${lon === undefined ? 'missing' : JSON.stringify(lon)}`);
+  }
+  if (Math.abs(latitude) > 90) return badCoordinate(`Latitude out of range: ${latitude}`);
+  if (Math.abs(longitude) > 180) return badCoordinate(`Longitude out of range: ${longitude}`);
+  // What many receivers report while they have no fix
+  if (latitude === 0 && longitude === 0) return badCoordinate('No fix (0, 0)');
+
+  const gpstime = parseTime(time);
+  if (!gpstime) {
+    return { error: `Invalid time: ${time === undefined ? 'missing' : JSON.stringify(time)}`, verdict: 'invalid-time' };
+  }
+
+  const point = { gpstime, lat: latitude, lon: longitude };
+  if (id !== undefined && id !== '') point.id = String(id);
+  if (vehicle !== undefined && vehicle !== '') point.vehicle = String(vehicle);
+  return { point };
+}
+
+/**
+ * Why a { gpstime, lat, lon } record can't be used, as { verdict, message }
+ * (verdict 'invalid-coordinate' or 'invalid-time'), or null if it can
+ */
+function checkPoint(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { verdict: 'invalid-coordinate', message: 'Not an object' };
+  }
+  const { error, verdict } = makePoint(record.lat, record.lon, record.gpstime);
+  return error ? { verdict, message: error } : null;
+}
+
+/**
+ * Why a { gpstime, lat, lon } record can't be used, or null if it can
+ */
+function validatePoint(record) {
+  const problem = checkPoint(record);
+  return problem ? problem.message : null;
+}
+
+// --- XML (GPX, KML) ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXML = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name])
+  .trim();
+
+const attribute = (tag, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(tag);
+  return match ? decodeXML(match[1] !== undefined ? match[1] : match[2]) : undefined;
+};
+
+// Text of the first <name> child, ignoring namespace prefixes
+const childText = (xml, name) => {
+  const match = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`).exec(xml);
+  return match ? decodeXML(match[1]) : undefined;
+};
+
+// Every <name>...</name> (or self-closing <name/>) element, with the offsets
+// of the element and of its body
+const elements = (xml, name) => {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>)`, 'g');
+  const found = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    found.push({
+      attributes: match[1],
+      body: match[2] || '',
+      index: match.index,
+      bodyIndex: match.index + match[0].indexOf('>') + 1
+    });
+  }
+  return found;
+};
+
+/**
+ * GPX 1.0/1.1: track points, route points and waypoints that carry a <time>
+ */
+function parseGPX(text) {
+  const points = [];
+  const errors = [];
+
+  ['trkpt', 'rtept', 'wpt'].forEach(name => {
+    const lineAt = lineCounter(text);
+    elements(text, name).forEach(({ attributes, body, index }) => {
+      const { point, error, verdict } = makePoint(
+        attribute(` ${attributes}`, 'lat'),
+        attribute(` ${attributes}`, 'lon'),
+        childText(body, 'time'),
+        childText(body, 'name')
+      );
+      if (error) {
+        errors.push({ line: lineAt(index), message: `<${name}>: ${error}`, verdict });
+      } else {
+        points.push(point);
+      }
+    });
+  });
+
+  return { points, errors };
+}
+
+/**
+ * KML: <gx:Track> elements (pairs of <when> and <gx:coord>) and Placemarks
+ * with a <Point> and a <TimeStamp>. Geometry without time can't be used.
+ */
+function parseKML(text) {
+  const points = [];
+  const errors = [];
+  let lineAt = lineCounter(text);
+
+  elements(text, 'Track').forEach(({ body, index, bodyIndex }) => {
+    const whens = elements(body, 'when');
+    const coords = elements(body, 'coord');
+    if (whens.length !== coords.length) {
+      errors.push({
+        line: lineAt(index),
+        message: `<gx:Track> has ${whens.length} <when> but ${coords.length} <gx:coord> elements`
+      });
+    }
+    coords.slice(0, whens.length).forEach((coord, i) => {
+      const [lon, lat] = decodeXML(coord.body).split(/\s+/);
+      const { point, error, verdict } = makePoint(lat, lon, decodeXML(whens[i].body));
+      if (error) {
+        errors.push({ line: lineAt(bodyIndex + coord.index), message: `<gx:coord>: ${error}`, verdict });
+      } else {
+        points.push(point);
+      }
+    });
+  });
+
+  lineAt = lineCounter(text);
+  elements(text, 'Placemark').forEach(({ body, index }) => {
+    const pointXML = childText(body, 'Point');
+    if (pointXML === undefined) return; // Lines and polygons, drawn tracks
+    const [lon, lat] = (childText(pointXML, 'coordinates') || '').split(',');
+    const time = childText(body, 'when');
+    const { point, error, verdict } = makePoint(lat, lon, time, childText(body, 'name'));
+    if (error) {
+      errors.push({ line: lineAt(index), message: `<Placemark>: ${error}`, verdict });
+    } else {
+      points.push(point);
+    }
+  });
+
+  return { points, errors };
+}
+
+// --- CSV ---
+
+// Header names recognised for each field when no column mapping is given
+const COLUMN_ALIASES = {
+  gpstime: ['gpstime', 'time', 'timestamp', 'datetime', 'date_time', 'recorded_at', 'utc'],
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x'],
+  id: ['id', 'point_id', 'uuid'],
+  vehicle: ['vehicle', 'vehicle_id', 'vehicleid', 'device', 'device_id', 'deviceid', 'imei', 'unit']
+};
+
+/**
+ * Split one CSV line, honouring double quotes ("a ""quoted"" value")
+ */
+function splitCSVLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return null;
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * CSV with a header row. `columns` maps point fields to header names,
+ * e.g. { lat: 'Breite', lon: 'Laenge', gpstime: 'Zeit' }; unmapped fields
+ * are found through COLUMN_ALIASES. The delimiter (',', ';' or tab) is
+ * taken from the header row; with ';' or tab, coordinates may use a decimal
+ * comma ("19,1").
+ */
+function parseCSV(text, { columns = {} } = {}) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    return { points: [], errors: [] };
+  }
+
+  const headerLine = lines[headerIndex];
+  const delimiter = ['\t', ';', ','].reduce((best, candidate) =>
+    (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+  const header = splitCSVLine(headerLine, delimiter) || [];
+  const coordinate = delimiter === ','
+    ? (field) => field
+    : (field) => field.replace(/^([+-]?\d+),(\d+)$/, '$1.$2');
+  const lowerHeader = header.map(name => name.toLowerCase());
+
+  Object.keys(columns).forEach(field => {
+    if (!COLUMN_ALIASES[field]) {
+      throw new Error(`Unknown CSV field: ${field} (expected one of ${Object.keys(COLUMN_ALIASES).join(', ')})`);
+    }
+  });
+
+  const indexes = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    if (columns[field] !== undefined) {
+      const index = header.indexOf(columns[field]);
+      if (index === -1) {
+        throw new Error(`CSV column "${columns[field]}" (mapped to ${field}) not found; header is: ${header.join(', ')}`);
+      }
+      indexes[field] = index;
+    } else {
+      const index = lowerHeader.findIndex(name => COLUMN_ALIASES[field].includes(name));
+      if (index !== -1) indexes[field] = index;
+    }
+  });
+  ['gpstime', 'lat', 'lon'].forEach(field => {
+    if (indexes[field] === undefined) {
+      throw new Error(`CSV has no ${field} column; map one with columns.${field} (header is: ${header.join(', ')})`);
+    }
+  });
+
+  const points = [];
+  const errors = [];
+  lines.slice(headerIndex + 1).forEach((line, i) => {
+    const lineNumber = headerIndex + i + 2;
+    if (line.trim() === '') return;
+
+    const fields = splitCSVLine(line, delimiter);
+    if (!fields) {
+      errors.push({ line: lineNumber, message: 'Unterminated quoted field' });
+      return;
+    }
+    if (fields.length !== header.length) {
+      errors.push({ line: lineNumber, message: `Expected ${header.length} fields, got ${fields.length}` });
+      return;
+    }
+    const { point, error, verdict } = makePoint(
+      coordinate(fields[indexes.lat]),
+      coordinate(fields[indexes.lon]),
+      fields[indexes.gpstime],
+      indexes.id === undefined ? undefined : fields[indexes.id],
+      indexes.vehicle === undefined ? undefined : fields[indexes.vehicle]
+    );
+    if (error) {
+      errors.push({ line: lineNumber, message: error, verdict });
+    } else {
+      points.push(point);
+    }
+  });
+
+  return { points, errors };
+}
+
+// --- NMEA 0183 ---
+
+// ddmm.mmmm (or dddmm.mmmm) with a hemisphere letter => signed degrees
+const nmeaCoordinate = (value, hemisphere) => {
+  if (!/^\d+(\.\d+)?$/.test(value) || !/^[NSEW]$/.test(hemisphere)) return NaN;
+  const raw = Number(value);
+  const degrees = Math.floor(raw / 100) + (raw % 100) / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -degrees : degrees;
+};
+
+// Two-digit NMEA years from here on are 19xx, below it 20xx
+const NMEA_CENTURY_PIVOT = 80;
+
+// hhmmss(.sss) on the ddmmyy date => ISO timestamp
+const nmeaTime = (date, time) => {
+  const d = /^(\d{2})(\d{2})(\d{2})$/.exec(date);
+  const t = /^(\d{2})(\d{2})(\d{2}(?:\.\d+)?)$/.exec(time);
+  if (!d || !t) return undefined;
+  const century = Number(d[3]) >= NMEA_CENTURY_PIVOT ? '19' : '20';
+  return `${century}${d[3]}-${d[2]}-${d[1]}T${t[1]}:${t[2]}:${t[3]}Z`;
+};
+
+const nmeaChecksumOK = (sentence) => {
+  const match = /^\$([^*]*)\*([0-9A-F]{2})$/i.exec(sentence);
+  if (!match) return !sentence.includes('*');
+  let checksum = 0;
+  for (let i = 0; i < match[1].length; i++) checksum ^= match[1].charCodeAt(i);
+  return checksum === parseInt(match[2], 16);
+};
+
+/**
+ * NMEA 0183 logs: $--RMC gives position, date and time; $--GGA gives
+ * position and time only, so it takes the date of the last RMC. Fixes the
+ * receiver marks invalid are reported, and a GGA repeating the time of the
+ * previous sentence is merged into it.
+ */
+function parseNMEA(text) {
+  const points = [];
+  const errors = [];
+  let date = null;
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = i + 1;
+    const sentence = rawLine.trim();
+    if (!sentence.startsWith('$')) {
+      if (sentence !== '') errors.push({ line, message: 'Not an NMEA sentence' });
+      return;
+    }
+    if (!nmeaChecksumOK(sentence)) {
+      errors.push({ line, message: 'Checksum mismatch' });
+      return;
+    }
+
+    const fields = sentence.replace(/\*[0-9A-F]{2}$/i, '').split(',');
+    const type = fields[0].slice(3);
+    let time;
+    let lat;
+    let lon;
+
+    if (type === 'RMC') {
+      if (fields.length < 10) {
+        errors.push({ line, message: `RMC sentence has ${fields.length} fields, expected at least 10` });
+        return;
+      }
+      date = fields[9];
+      if (fields[2] !== 'A') {
+        errors.push({ line, message: 'RMC fix marked void (status V)' });
+        return;
+      }
+      time = nmeaTime(fields[9], fields[1]);
+      lat = nmeaCoordinate(fields[3], fields[4]);
+      lon = nmeaCoordinate(fields[5], fields[6]);
+    } else if (type === 'GGA') {
+      if (fields.length < 7) {
+        errors.push({ line, message: `GGA sentence has ${fields.length} fields, expected at least 7` });
+        return;
+      }
+      if (fields[6] === '0') {
+        errors.push({ line, message: 'GGA has no fix (quality 0)' });
+        return;
+      }
+      if (!date) {
+        errors.push({ line, message: 'GGA sentence before any RMC date' });
+        return;
+      }
+      time = nmeaTime(date, fields[1]);
+      lat = nmeaCoordinate(fields[2], fields[3]);
+      lon = nmeaCoordinate(fields[4], fields[5]);
+    } else {
+      return; // GSV, VTG, ... carry no position fix
+    }
+
+    const { point, error, verdict } = makePoint(lat, lon, time);
+    if (error) {
+      errors.push({ line, message: `${type}: ${error}`, verdict });
+    } else if (points.length === 0 || points[points.length - 1].gpstime !== point.gpstime) {
+      points.push(point);
+    }
+  });
+
+  return { points, errors };
+}
+
+// --- JSON ---
+
+/**
+ * The native format: an array of { gpstime, lat, lon } objects (or an object
+ * with such an array under `points`). Valid records are passed through as is.
+ */
+function parseJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(data) && data && Array.isArray(data.points)) {
+    data = data.points;
+  }
+  if (!Array.isArray(data)) {
+    throw new Error('JSON input must be an array of GPS points');
+  }
+
+  const points = [];
+  const errors = [];
+  data.forEach((record, i) => {
+    const problem = checkPoint(record);
+    if (problem) {
+      errors.push({ record: i + 1, message: problem.message, verdict: problem.verdict });
+    } else {
+      points.push(record);
+    }
+  });
+
+  return { points, errors };
+}
+
+const PARSERS = { json: parseJSON, gpx: parseGPX, kml: parseKML, csv: parseCSV, nmea: parseNMEA };
+
+/**
+ * Import a track from text. Options: `format` (auto-detected when omitted),
+ * `filename` (helps detection) and `columns` (CSV column mapping).
+ * Returns { format, points, errors }, where errors lists skipped records as
+ * { line, message } ({ record, message } for JSON), plus the verdict
+ * 'invalid-coordinate' or 'invalid-time' when the record was read but its
+ * position or time is unusable.
+ */
+function importTrack(text, { format, filename, columns } = {}) {
+  const detected = format || detectFormat(text, filename);
+  if (!PARSERS[detected]) {
+    throw new Error(`Unknown format: ${detected} (expected one of ${FORMATS.join(', ')})`);
+  }
+  const { points, errors } = PARSERS[detected](text, { columns });
+  return { format: detected, points, errors };
+}
+
+/**
+ * Read and import a track file (see importTrack)
+ */
+function importFile(filePath, options = {}) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return importTrack(text, { filename: filePath, ...options });
+}
+
+// --- Execution ---
+
+const main = () => {
+  const [filePath, format] = process.argv.slice(2);
+  if (!filePath) {
+    console.log("Usage: node importers.js <file> [format]");
+    console.log(`Formats: ${FORMATS.join(', ')} (auto-detected by default)`);
+    process.exit(1);
+  }
+
+  try {
+    const result = importFile(filePath, { format });
+    console.error(`Imported ${result.points.length} points (${result.format}), skipped ${result.errors.length} records`);
+    result.errors.forEach(({ line, record, message }) => {
+      console.error(`  ${line !== undefined ? `line ${line}` : `record ${record}`}: ${message}`);
+    });
+    console.log(JSON.stringify(result.points, null, 2));
+  } catch (err) {
+    console.error("ERROR:", err.message);
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseTime,
+  checkPoint,
+  validatePoint,
+  parseGPX,
+  parseKML,
+  parseCSV,
+  parseNMEA,
+  parseJSON,
+  importTrack,
+  importFile
+};
+
+if (require.main === module) {
+  main();
+}
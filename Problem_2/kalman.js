@@ -0,0 +1,220 @@
+/**
+ * Problem 2 (extension): Kalman-filter smoothing for GPS tracks
+ *
+ * Approach:
+ * 1. Project fixes onto a local plane (metres east/north of the first fix).
+ * 2. Run a constant-velocity Kalman filter. The east and north axes are
+ *    independent, so each is a 2-state filter [position, velocity] with
+ *    white-noise acceleration as process noise.
+ * 3. Optionally run a Rauch-Tung-Striebel (RTS) backward pass, so every
+ *    position also benefits from the fixes that come after it.
+ *
+ * A fix whose innovation is implausible for the filter's own uncertainty
+ * (Mahalanobis gate) is reported as an outlier and not used. If `window`
+ * fixes in a row fail the gate but pass it against each other (a
+ * constant-velocity track started from the first of them), the vehicle
+ * really did move (e.g. after a gap), so the filter restarts from them
+ * instead of rejecting the rest of the track. A burst of scattered jitter
+ * doesn't agree with itself and stays rejected.
+ *
+ * Complexity: O(n) time and space.
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+const RAD = Math.PI / 180;
+
+// Chi-square, 2 degrees of freedom, 99.9%
+const GATE_THRESHOLD = 13.82;
+
+// Prior speed uncertainty for the first fix of a segment (~110 km/h)
+const INITIAL_SPEED_SIGMA = 30;
+
+// --- 2x2 matrix helpers ([[a, b], [c, d]]) ---
+
+const multiply = (A, B) => [
+  [A[0][0] * B[0][0] + A[0][1] * B[1][0], A[0][0] * B[0][1] + A[0][1] * B[1][1]],
+  [A[1][0] * B[0][0] + A[1][1] * B[1][0], A[1][0] * B[0][1] + A[1][1] * B[1][1]]
+];
+const transpose = (A) => [[A[0][0], A[1][0]], [A[0][1], A[1][1]]];
+const add = (A, B) => [[A[0][0] + B[0][0], A[0][1] + B[0][1]], [A[1][0] + B[1][0], A[1][1] + B[1][1]]];
+const subtract = (A, B) => [[A[0][0] - B[0][0], A[0][1] - B[0][1]], [A[1][0] - B[1][0], A[1][1] - B[1][1]]];
+const inverse = (A) => {
+  const det = A[0][0] * A[1][1] - A[0][1] * A[1][0];
+  return [[A[1][1] / det, -A[0][1] / det], [-A[1][0] / det, A[0][0] / det]];
+};
+const apply = (A, v) => [A[0][0] * v[0] + A[0][1] * v[1], A[1][0] * v[0] + A[1][1] * v[1]];
+
+// --- One axis of the constant-velocity model ---
+
+const transition = (dt) => [[1, dt], [0, 1]];
+
+const processNoise = (dt, q) => [
+  [q * dt * dt * dt / 3, q * dt * dt / 2],
+  [q * dt * dt / 2, q * dt]
+];
+
+const predict = ({ x, P }, dt, q) => {
+  const F = transition(dt);
+  return { x: apply(F, x), P: add(multiply(multiply(F, P), transpose(F)), processNoise(dt, q)) };
+};
+
+// Innovation of measurement z against a predicted state, and its variance
+const innovation = ({ x, P }, z, r) => ({ y: z - x[0], S: P[0][0] + r });
+
+const update = ({ x, P }, z, r) => {
+  const { y, S } = innovation({ x, P }, z, r);
+  const K = [P[0][0] / S, P[1][0] / S];
+  return {
+    x: [x[0] + K[0] * y, x[1] + K[1] * y],
+    P: [
+      [(1 - K[0]) * P[0][0], (1 - K[0]) * P[0][1]],
+      [P[1][0] - K[1] * P[0][0], P[1][1] - K[1] * P[0][1]]
+    ]
+  };
+};
+
+const initial = (z, r) => ({ x: [z, 0], P: [[r, 0], [0, INITIAL_SPEED_SIGMA * INITIAL_SPEED_SIGMA]] });
+
+/**
+ * RTS backward pass over one segment of { filtered, predicted, dt } steps
+ * (per axis), returning the smoothed states
+ */
+function rtsSmooth(steps, axis) {
+  const smoothed = new Array(steps.length);
+  smoothed[steps.length - 1] = steps[steps.length - 1].filtered[axis];
+
+  for (let k = steps.length - 2; k >= 0; k--) {
+    const filtered = steps[k].filtered[axis];
+    const next = steps[k + 1];
+    const C = multiply(multiply(filtered.P, transpose(transition(next.dt))), inverse(next.predicted[axis].P));
+    const dx = [smoothed[k + 1].x[0] - next.predicted[axis].x[0], smoothed[k + 1].x[1] - next.predicted[axis].x[1]];
+    const correction = apply(C, dx);
+    smoothed[k] = {
+      x: [filtered.x[0] + correction[0], filtered.x[1] + correction[1]],
+      P: add(filtered.P, multiply(multiply(C, subtract(smoothed[k + 1].P, next.predicted[axis].P)), transpose(C)))
+    };
+  }
+
+  return smoothed;
+}
+
+/**
+ * Smooth a time-sorted track without duplicate timestamps.
+ *
+ * Options:
+ * - measurementNoiseM: GPS error, 1 sigma in metres
+ * - accelerationNoise: expected acceleration, 1 sigma in m/s^2
+ * - smoother: also run the RTS backward pass
+ * - window: consecutive gated fixes after which the filter restarts
+ *
+ * Returns { points, outliers }. Each point is a copy of its fix with lat/lon
+ * corrected, the original under `raw`, `uncertainty` (1 sigma position
+ * error in metres) and the estimated `speedKmh`.
+ */
+function kalmanSmooth(points, { measurementNoiseM, accelerationNoise, smoother = false, window = 3 }) {
+  if (points.length === 0) return { points: [], outliers: [] };
+
+  const r = measurementNoiseM * measurementNoiseM;
+  const q = accelerationNoise * accelerationNoise;
+  const lat0 = points[0].lat;
+  const lon0 = points[0].lon;
+  const cosLat0 = Math.cos(lat0 * RAD);
+  const toPlane = (p) => [
+    (p.lon - lon0) * RAD * EARTH_RADIUS_M * cosLat0,
+    (p.lat - lat0) * RAD * EARTH_RADIUS_M
+  ];
+  const toLatLon = (east, north) => ({
+    lat: lat0 + north / EARTH_RADIUS_M / RAD,
+    lon: lon0 + east / (EARTH_RADIUS_M * cosLat0) / RAD
+  });
+
+  // Segments of accepted fixes; each step keeps what the RTS pass needs
+  const segments = [];
+  const outliers = [];
+  let segment = null;
+  let rejected = [];
+
+  const firstStep = (point) => {
+    const z = toPlane(point);
+    const state = [initial(z[0], r), initial(z[1], r)];
+    return { point, dt: 0, predicted: state, filtered: state };
+  };
+
+  // The step from `previous` to `point`, and the fix's Mahalanobis distance
+  // from the prediction (compared against GATE_THRESHOLD)
+  const nextStep = (previous, point) => {
+    const dt = (new Date(point.gpstime) - new Date(previous.point.gpstime)) / 1000;
+    const predicted = [predict(previous.filtered[0], dt, q), predict(previous.filtered[1], dt, q)];
+    const z = toPlane(point);
+    const distance = [0, 1].reduce((sum, axis) => {
+      const { y, S } = innovation(predicted[axis], z[axis], r);
+      return sum + y * y / S;
+    }, 0);
+    return {
+      step: { point, dt, predicted, filtered: [update(predicted[0], z[0], r), update(predicted[1], z[1], r)] },
+      distance
+    };
+  };
+
+  points.forEach(point => {
+    if (!segment) {
+      segment = [firstStep(point)];
+      segments.push(segment);
+      return;
+    }
+
+    const { step, distance } = nextStep(segment[segment.length - 1], point);
+    if (distance <= GATE_THRESHOLD) {
+      outliers.push(...rejected);
+      rejected = [];
+      segment.push(step);
+      return;
+    }
+
+    rejected.push(point);
+    if (rejected.length < window) return;
+
+    // Consistently somewhere else: restart the filter from there, provided
+    // the rejected fixes make a plausible track of their own
+    const restart = [firstStep(rejected[0])];
+    const consistent = rejected.slice(1).every(p => {
+      const next = nextStep(restart[restart.length - 1], p);
+      restart.push(next.step);
+      return next.distance <= GATE_THRESHOLD;
+    });
+    if (consistent) {
+      segment = restart;
+      segments.push(segment);
+      rejected = [];
+    } else {
+      outliers.push(rejected.shift());
+    }
+  });
+  outliers.push(...rejected);
+
+  const corrected = [];
+  segments.forEach(steps => {
+    const states = smoother
+      ? [rtsSmooth(steps, 0), rtsSmooth(steps, 1)]
+      : [steps.map(s => s.filtered[0]), steps.map(s => s.filtered[1])];
+
+    steps.forEach(({ point }, k) => {
+      const east = states[0][k];
+      const north = states[1][k];
+      corrected.push({
+        ...point,
+        ...toLatLon(east.x[0], north.x[0]),
+        raw: { lat: point.lat, lon: point.lon },
+        uncertainty: Math.sqrt((east.P[0][0] + north.P[0][0]) / 2),
+        speedKmh: Math.hypot(east.x[1], north.x[1]) * 3.6
+      });
+    });
+  });
+
+  return { points: corrected, outliers };
+}
+
+module.exports = {
+  GATE_THRESHOLD,
+  kalmanSmooth
+};
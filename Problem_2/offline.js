@@ -0,0 +1,325 @@
+/**
+ * Problem 2 (extension): Offline map reports
+ *
+ * Packs everything a map needs into the one HTML file, so it opens on
+ * machines without internet access and can be attached to a ticket.
+ *
+ * Approach:
+ * 1. Inline Leaflet's JS and CSS from the leaflet package; the images the CSS
+ *    refers to become data URIs.
+ * 2. Embed map tiles from a local {z}/{x}/{y}.png directory or an MBTiles
+ *    file. Only tiles around the track are taken, zoom level by zoom level
+ *    from the coarsest, until the next level would exceed `maxTiles`.
+ * 3. Without tiles, draw the track as a plain SVG in Web Mercator instead,
+ *    which needs neither Leaflet nor any script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_TILES = 400; // ~10 MB of typical 256px PNG tiles
+const MAX_ZOOM = 19;
+const MAX_LATITUDE = 85.0511287798; // Web Mercator cuts the poles off here
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+const RAD = Math.PI / 180;
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Web Mercator position of a fix, as fractions of the world: x grows east,
+ * y grows south, both 0..1
+ */
+function project(lat, lon) {
+  const phi = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * RAD;
+  return {
+    x: (lon + 180) / 360,
+    y: (1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2
+  };
+}
+
+/**
+ * Leaflet's CSS (with its images as data URIs) and JS, read from the
+ * installed leaflet package
+ */
+function leafletAssets() {
+  let dist;
+  try {
+    dist = path.dirname(require.resolve('leaflet/dist/leaflet.js'));
+  } catch (err) {
+    throw new Error('Offline maps need the leaflet package; run npm install first');
+  }
+
+  const css = fs.readFileSync(path.join(dist, 'leaflet.css'), 'utf8')
+    .replace(/url\(images\/([\w.-]+)\)/g, (match, file) =>
+      `url(data:image/png;base64,${fs.readFileSync(path.join(dist, 'images', file)).toString('base64')})`);
+  const js = fs.readFileSync(path.join(dist, 'leaflet.js'), 'utf8').replace(/<\/script/gi, '<\\/script');
+  return { css, js };
+}
+
+// --- Tile sources: { attribution, minZoom, maxZoom, read(z, x, y), close() } ---
+
+/**
+ * Tiles stored as <dir>/<z>/<x>/<y>.<png|jpg|jpeg|webp> (XYZ numbering, as
+ * written by most tile downloaders)
+ */
+function directoryTiles(dir) {
+  const zooms = fs.readdirSync(dir).filter(name => /^\d+$/.test(name)).map(Number);
+  if (zooms.length === 0) {
+    throw new Error(`${dir} has no zoom level directories (expected <dir>/<z>/<x>/<y>.png)`);
+  }
+  const extensions = Object.keys(IMAGE_TYPES);
+
+  return {
+    attribution: null,
+    minZoom: Math.min(...zooms),
+    maxZoom: Math.min(MAX_ZOOM, Math.max(...zooms)),
+    read(z, x, y) {
+      for (const extension of extensions) {
+        const file = path.join(dir, String(z), String(x), `${y}.${extension}`);
+        if (fs.existsSync(file)) return { type: IMAGE_TYPES[extension], data: fs.readFileSync(file) };
+      }
+      return null;
+    },
+    close() {}
+  };
+}
+
+/**
+ * Tiles from an MBTiles file (SQLite, TMS row numbering). The whole file is
+ * read into memory, so prefer an extract covering the area of interest.
+ */
+async function mbtilesTiles(file) {
+  let initSqlJs;
+  try {
+    initSqlJs = require('sql.js');
+  } catch (err) {
+    throw new Error('Reading MBTiles needs the sql.js package; run npm install first');
+  }
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.readFileSync(file));
+
+  const metadata = {};
+  let zooms;
+  try {
+    db.exec('SELECT name, value FROM metadata').forEach(({ values }) => {
+      values.forEach(([name, value]) => { metadata[name] = value; });
+    });
+    zooms = db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0].values[0];
+  } catch (err) {
+    db.close();
+    throw new Error(`${file} is not an MBTiles file: ${err.message}`);
+  }
+
+  const format = (metadata.format || 'png').toLowerCase();
+  if (!IMAGE_TYPES[format]) {
+    db.close();
+    throw new Error(`${file} holds ${format} tiles; only raster tiles (${Object.keys(IMAGE_TYPES).join(', ')}) can be embedded`);
+  }
+
+  const statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+  return {
+    attribution: metadata.attribution || null,
+    minZoom: zooms[0] === null ? 0 : zooms[0],
+    maxZoom: zooms[1] === null ? -1 : Math.min(MAX_ZOOM, zooms[1]),
+    read(z, x, y) {
+      statement.bind([z, x, 2 ** z - 1 - y]);
+      const data = statement.step() ? statement.get()[0] : null;
+      statement.reset();
+      return data ? { type: IMAGE_TYPES[format], data: Buffer.from(data) } : null;
+    },
+    close() {
+      statement.free();
+      db.close();
+    }
+  };
+}
+
+/**
+ * Open a tile directory or MBTiles file
+ */
+async function openTiles(location) {
+  if (!fs.existsSync(location)) {
+    throw new Error(`Tile source ${location} not found`);
+  }
+  return fs.statSync(location).isDirectory() ? directoryTiles(location) : mbtilesTiles(location);
+}
+
+/**
+ * Data URIs of the tiles covering `points` (plus one tile of margin), keyed
+ * "z/x/y". Returns { images, minZoom, maxZoom, attribution } for the zoom
+ * levels that had tiles, or null when none did.
+ */
+function collectTiles(source, points, maxTiles) {
+  const projected = points.map(p => project(p.lat, p.lon));
+  const west = Math.min(...projected.map(p => p.x));
+  const east = Math.max(...projected.map(p => p.x));
+  const north = Math.min(...projected.map(p => p.y));
+  const south = Math.max(...projected.map(p => p.y));
+
+  const images = {};
+  let count = 0;
+  let minZoom = null;
+  let maxZoom = null;
+
+  for (let z = source.minZoom; z <= source.maxZoom; z++) {
+    const size = 2 ** z;
+    const tile = (fraction) => Math.max(0, Math.min(size - 1, Math.floor(fraction * size)));
+    const x0 = tile(west) - (tile(west) > 0 ? 1 : 0);
+    const x1 = tile(east) + (tile(east) < size - 1 ? 1 : 0);
+    const y0 = tile(north) - (tile(north) > 0 ? 1 : 0);
+    const y1 = tile(south) + (tile(south) < size - 1 ? 1 : 0);
+    if (count + (x1 - x0 + 1) * (y1 - y0 + 1) > maxTiles) break;
+
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        count++;
+        const image = source.read(z, x, y);
+        if (!image) continue;
+        images[`${z}/${x}/${y}`] = `data:${image.type};base64,${image.data.toString('base64')}`;
+        if (minZoom === null) minZoom = z;
+        maxZoom = z;
+      }
+    }
+  }
+
+  return minZoom === null ? null : { images, minZoom, maxZoom, attribution: source.attribution };
+}
+
+/**
+ * Everything an offline map needs for `points` (the fixes it should cover):
+ * { leaflet, tiles } with the inlined Leaflet assets and the embedded tiles
+ * from `tiles` (a directory or .mbtiles path). Both are null when there is
+ * no tile source or it has nothing for this area; the map generators then
+ * draw an SVG instead.
+ */
+async function prepareOfflineMap(points, { tiles = null, maxTiles = DEFAULT_MAX_TILES } = {}) {
+  if (!Number.isInteger(maxTiles) || maxTiles <= 0) {
+    throw new Error(`maxTiles must be a positive whole number, got ${maxTiles}`);
+  }
+  if (!tiles || points.length === 0) return { leaflet: null, tiles: null };
+
+  const source = await openTiles(tiles);
+  try {
+    const collected = collectTiles(source, points, maxTiles);
+    return collected ? { leaflet: leafletAssets(), tiles: collected } : { leaflet: null, tiles: null };
+  } finally {
+    source.close();
+  }
+}
+
+// --- SVG fallback ---
+
+const SVG_WIDTH = 1200;
+const SVG_HEIGHT = 800;
+const SVG_PADDING = 60;
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const title = (text) => text ? `<title>${escapeXML(text)}</title>` : '';
+
+/**
+ * Draw map layers as an <svg> element in Web Mercator, fitted to their
+ * extent, with a scale bar. Coordinates are [lat, lon] pairs.
+ * - lines: { coords, color, dashed, title }
+ * - areas: { rings (list of coordinate lists), color, title } or
+ *   { center, radiusM, color, fill, dashed, title }
+ * - dots: { at, color, title } (fixed-size circles)
+ * - pins: { at, color, title } (marker pins)
+ */
+function svgMap({ lines = [], areas = [], dots = [], pins = [] }) {
+  const coords = [
+    ...lines.flatMap(l => l.coords),
+    ...areas.flatMap(a => a.rings ? a.rings.flat() : [a.center]),
+    ...dots.map(d => d.at),
+    ...pins.map(p => p.at)
+  ];
+  if (coords.length === 0) {
+    return `<svg viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" width="100%" height="100%" xmlns="http://www.w3.org/2000/svg">` +
+      `<text x="${SVG_WIDTH / 2}" y="${SVG_HEIGHT / 2}" text-anchor="middle" font-size="24" fill="#888">No GPS points</text></svg>`;
+  }
+
+  const projected = coords.map(([lat, lon]) => project(lat, lon));
+  const minX = Math.min(...projected.map(p => p.x));
+  const maxX = Math.max(...projected.map(p => p.x));
+  const minY = Math.min(...projected.map(p => p.y));
+  const maxY = Math.max(...projected.map(p => p.y));
+  // At least ~100 m across, so a single stop still gets a sensible scale
+  const minSpan = 100 / EARTH_CIRCUMFERENCE_M;
+  const scale = Math.min((SVG_WIDTH - 2 * SVG_PADDING) / Math.max(maxX - minX, minSpan),
+    (SVG_HEIGHT - 2 * SVG_PADDING) / Math.max(maxY - minY, minSpan));
+  const offsetX = (SVG_WIDTH - (maxX - minX) * scale) / 2;
+  const offsetY = (SVG_HEIGHT - (maxY - minY) * scale) / 2;
+
+  const point = ([lat, lon]) => {
+    const p = project(lat, lon);
+    return [+((p.x - minX) * scale + offsetX).toFixed(1), +((p.y - minY) * scale + offsetY).toFixed(1)];
+  };
+  const pointList = (list) => list.map(c => point(c).join(',')).join(' ');
+  // Metres per SVG unit at a latitude
+  const metresPerUnit = (lat) => EARTH_CIRCUMFERENCE_M * Math.cos(lat * RAD) / scale;
+
+  const shapes = [];
+  areas.forEach(a => {
+    const stroke = `stroke="${a.color}" stroke-width="2"${a.dashed ? ' stroke-dasharray="4,4"' : ''}`;
+    const fill = `fill="${a.fill || a.color}" fill-opacity="${a.fill ? 0.25 : 0.08}"`;
+    if (a.rings) {
+      const d = a.rings.map(ring => `M${pointList(ring).replace(/ /g, 'L')}Z`).join('');
+      shapes.push(`<path d="${d}" fill-rule="evenodd" ${fill} ${stroke}>${title(a.title)}</path>`);
+    } else {
+      const [cx, cy] = point(a.center);
+      const r = +(a.radiusM / metresPerUnit(a.center[0])).toFixed(1);
+      shapes.push(`<circle cx="${cx}" cy="${cy}" r="${Math.max(r, 2)}" ${fill} ${stroke}>${title(a.title)}</circle>`);
+    }
+  });
+  lines.forEach(l => {
+    if (l.coords.length === 0) return;
+    shapes.push(`<polyline points="${pointList(l.coords)}" fill="none" stroke="${l.color}" ` +
+      `stroke-width="${l.dashed ? 2 : 4}" stroke-opacity="${l.dashed ? 0.8 : 0.7}" stroke-linejoin="round" stroke-linecap="round"` +
+      `${l.dashed ? ' stroke-dasharray="6,4"' : ''}>${title(l.title)}</polyline>`);
+  });
+  dots.forEach(d => {
+    const [cx, cy] = point(d.at);
+    shapes.push(`<circle cx="${cx}" cy="${cy}" r="6" fill="${d.color}" fill-opacity="0.7" stroke="${d.color}" stroke-width="2">${title(d.title)}</circle>`);
+  });
+  pins.forEach(p => {
+    const [x, y] = point(p.at);
+    shapes.push(`<g transform="translate(${x},${y})"><path d="M0,0C-2,-7 -10,-12 -10,-20A10,10 0 1,1 10,-20C10,-12 2,-7 0,0Z" ` +
+      `fill="${p.color}" stroke="white" stroke-width="1"/><circle cy="-20" r="4" fill="white"/>${title(p.title)}</g>`);
+  });
+
+  // Scale bar: the longest 1/2/5 x 10^n metres that fits in 150 units
+  const centerLat = coords.reduce((sum, c) => sum + c[0], 0) / coords.length;
+  const perUnit = metresPerUnit(centerLat);
+  const magnitude = 10 ** Math.floor(Math.log10(150 * perUnit));
+  const barM = [5, 2, 1].map(f => f * magnitude).find(m => m / perUnit <= 150);
+  const barLength = +(barM / perUnit).toFixed(1);
+  const barLabel = barM >= 1000 ? `${barM / 1000} km` : `${barM} m`;
+
+  return [
+    `<svg viewBox="0 0 ${SVG_WIDTH} ${SVG_HEIGHT}" width="100%" height="100%" xmlns="http://www.w3.org/2000/svg" font-family="Arial, sans-serif">`,
+    `<rect width="${SVG_WIDTH}" height="${SVG_HEIGHT}" fill="#f2efe9"/>`,
+    ...shapes,
+    `<g transform="translate(20,30)"><path d="M0,0V6H${barLength}V0" fill="none" stroke="#333" stroke-width="2"/>` +
+      `<text x="${barLength / 2}" y="-4" text-anchor="middle" font-size="12" fill="#333">${barLabel}</text></g>`,
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_MAX_TILES,
+  project,
+  leafletAssets,
+  openTiles,
+  collectTiles,
+  prepareOfflineMap,
+  svgMap
+};
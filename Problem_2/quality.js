@@ -0,0 +1,213 @@
+/**
+ * Problem 2 (extension): Data-quality report
+ *
+ * Evidence of how well a device reports, e.g. to send to its vendor: every
+ * input record with the verdict processGPSData (or the importer) gave it,
+ * plus a summary.
+ *
+ * Verdicts:
+ * - kept: on the clean path
+ * - jitter: an impossible jump, with the offending speed and the fixes it
+ *   was measured against
+ * - duplicate: same timestamp as a point already kept
+ * - invalid-coordinate: latitude/longitude missing, out of range or 0, 0
+ * - invalid-time: timestamp missing or unparseable
+ * - out-of-order: arrived after a later point (only rejected with
+ *   `outOfOrder: 'reject'`; otherwise kept points are flagged instead)
+ * - unreadable: a record the importer could not read at all
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VERDICTS = ['kept', 'jitter', 'duplicate', 'invalid-coordinate', 'invalid-time', 'out-of-order'];
+const UNREADABLE = 'unreadable';
+
+const FORMATS = ['json', 'csv'];
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.csv': 'csv'
+};
+
+const CSV_COLUMNS = [
+  'point', 'source', 'vehicle', 'verdict', 'gpstime', 'lat', 'lon',
+  'speed_kmh', 'threshold_kmh', 'references', 'out_of_order', 'message'
+];
+
+// --- Shared helpers ---
+
+const round = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Reducers; spreading into Math.min/max overflows the stack on long tracks
+const min = (a, b) => (b < a ? b : a);
+const max = (a, b) => (b > a ? b : a);
+
+const emptyCounts = () => Object.fromEntries([...VERDICTS, UNREADABLE].map(verdict => [verdict, 0]));
+
+/**
+ * Why a point got its verdict, in words
+ */
+function describe(verdict) {
+  switch (verdict.verdict) {
+    case 'kept':
+      return verdict.outOfOrder ? 'Kept; arrived after a later point' : '';
+    case 'jitter': {
+      if (verdict.method === 'kalman') {
+        return verdict.references.length > 0
+          ? `Rejected by the Kalman filter; ${round(verdict.speedKmh)} km/h from the fix at ${verdict.references[0].gpstime}`
+          : 'Rejected by the Kalman filter';
+      }
+      return `${round(verdict.speedKmh)} km/h from the last ${verdict.references.length} clean fix(es), ` +
+        `limit ${verdict.thresholdKmh} km/h`;
+    }
+    case 'duplicate':
+      return `Same time as the fix at ${verdict.duplicateOf.lat}, ${verdict.duplicateOf.lon}`;
+    case 'out-of-order':
+      return `Arrived after the fix at ${verdict.after.gpstime}`;
+    default:
+      return verdict.message || '';
+  }
+}
+
+/**
+ * Verdict counts, fix times, sampling intervals and the worst jitter for a
+ * set of report rows and the clean paths they produced
+ */
+function summarize(rows, cleanPaths) {
+  const counts = emptyCounts();
+  rows.forEach(row => counts[row.verdict]++);
+
+  const times = cleanPaths.flat().map(p => new Date(p.gpstime).getTime());
+  const intervals = cleanPaths.flatMap(cleanPath => cleanPath.slice(1).map((p, i) =>
+    (new Date(p.gpstime) - new Date(cleanPath[i].gpstime)) / 1000));
+  const jitterSpeeds = rows.filter(row => row.verdict === 'jitter' && row.speedKmh !== null).map(row => row.speedKmh);
+
+  return {
+    records: rows.length,
+    counts,
+    rejectedPercent: rows.length > 0 ? round(100 * (rows.length - counts.kept) / rows.length) : 0,
+    outOfOrderArrivals: rows.filter(row => row.outOfOrder || row.verdict === 'out-of-order').length,
+    firstFix: times.length > 0 ? new Date(times.reduce(min)).toISOString() : null,
+    lastFix: times.length > 0 ? new Date(times.reduce(max)).toISOString() : null,
+    samplingIntervalSec: { median: median(intervals), max: intervals.length > 0 ? intervals.reduce(max) : null },
+    maxJitterSpeedKmh: jitterSpeeds.length > 0 ? round(jitterSpeeds.reduce(max)) : null
+  };
+}
+
+/**
+ * Data-quality report for the result of processGPSData or processFleet.
+ * `importErrors` (from importFile) adds the records the importer skipped.
+ * Returns { summary, points }: points are the report rows, processed points
+ * in input order (`point` counts from 1) followed by the import errors
+ * (`source` being their line or record in the file); for a fleet, summary
+ * also has the counts per vehicle.
+ */
+function qualityReport(result, { importErrors = [] } = {}) {
+  const vehicles = result.vehicles || [{ vehicleId: null, ...result }];
+
+  const processed = vehicles
+    .flatMap(({ vehicleId, verdicts }) => verdicts.map(verdict => ({
+      point: verdict.index + 1,
+      source: null,
+      vehicle: vehicleId,
+      ...verdict,
+      speedKmh: verdict.speedKmh === undefined ? null : verdict.speedKmh,
+      message: describe(verdict)
+    })))
+    .sort((a, b) => a.point - b.point)
+    .map(({ index, ...row }) => row);
+  const unread = importErrors.map(error => ({
+    point: null,
+    source: error.line !== undefined ? `line ${error.line}` : `record ${error.record}`,
+    vehicle: null,
+    verdict: error.verdict || UNREADABLE,
+    gpstime: null,
+    lat: null,
+    lon: null,
+    speedKmh: null,
+    message: error.message
+  }));
+  const points = [...processed, ...unread];
+
+  const { jitterSpeedThresholdKmh, windowSize, smoothing, outOfOrder } = result.options;
+  const summary = {
+    ...summarize(points, vehicles.map(v => v.cleanPath)),
+    settings: { jitterSpeedThresholdKmh, windowSize, smoothing, outOfOrder }
+  };
+  if (result.vehicles) {
+    summary.vehicles = result.vehicles.map(({ vehicleId, cleanPath }) => ({
+      vehicleId,
+      ...summarize(processed.filter(row => row.vehicle === vehicleId), [cleanPath])
+    }));
+  }
+
+  return { summary, points };
+}
+
+// --- Output ---
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The report as indented JSON
+ */
+function toQualityJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * The report rows as CSV, one row per record. `references` lists the fixes a
+ * jitter was measured against as "time lat lon speed" separated by "; ".
+ */
+function toQualityCSV({ points }) {
+  const rows = points.map(row => [
+    row.point,
+    row.source,
+    row.vehicle,
+    row.verdict,
+    row.gpstime,
+    row.lat,
+    row.lon,
+    round(row.speedKmh),
+    row.thresholdKmh,
+    (row.references || []).map(r => `${r.gpstime} ${r.lat} ${r.lon} ${round(r.speedKmh)}`).join('; '),
+    row.outOfOrder || row.verdict === 'out-of-order' ? 'yes' : '',
+    row.message
+  ].map(csvField).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Write the report to `filePath` as JSON or CSV, from `format` or the file
+ * extension; returns the format used
+ */
+function writeQualityReport(report, filePath, format) {
+  const chosen = format || EXTENSIONS[path.extname(filePath).toLowerCase()];
+  if (!FORMATS.includes(chosen)) {
+    throw new Error(`Cannot tell report format from ${filePath}; use a .json or .csv extension`);
+  }
+  fs.writeFileSync(filePath, chosen === 'json' ? toQualityJSON(report) : toQualityCSV(report));
+  return chosen;
+}
+
+module.exports = {
+  VERDICTS,
+  UNREADABLE,
+  FORMATS,
+  qualityReport,
+  toQualityJSON,
+  toQualityCSV,
+  writeQualityReport
+};
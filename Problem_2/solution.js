@@ -9,7 +9,16 @@
  *    - Uses a sliding window to avoid cascading false positives
  *    - Checks acceleration for additional validation
  * 2. Idling Detection: Identifies when vehicle is stationary for extended periods
- * 3. Visualization: Generates interactive HTML map using Leaflet.js
+ *    - Optionally on a Kalman-smoothed track instead of the filtered raw fixes
+ *    - Idling events within a radius of each other are clustered (DBSCAN)
+ *      into recurring stop locations
+ * 3. Trip Segmentation: Splits the clean path at long time gaps and long stops
+ *    and reports distance, moving/idle time and speeds for each trip
+ *    - With geofences, enter/exit events and dwell time per zone; idling
+ *      events are tagged with their zone
+ * 4. Fleet Processing: Mixed exports are grouped by a vehicle key and every
+ *    vehicle is processed on its own, then summarized as a fleet
+ * 5. Visualization: Generates interactive HTML map using Leaflet.js
  * 
  * Complexity:
  * - Time: O(n) where n is number of GPS points
@@ -18,13 +27,106 @@
 
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 const geolib = require('geolib');
+const { FORMATS, checkPoint, importFile } = require('./importers');
+const { exportFile } = require('./exporters');
+const { kalmanSmooth } = require('./kalman');
+const { clusterStops } = require('./clustering');
+const { loadGeofences, trackGeofences, zoneOf } = require('./geofence');
+const { DEFAULT_MAX_TILES, prepareOfflineMap, svgMap } = require('./offline');
+const { qualityReport, writeQualityReport } = require('./quality');
 
 // CONFIGURATION
 const JITTER_SPEED_THRESHOLD_KMH = 120; // Unrealistic speed threshold
 const IDLING_SPEED_THRESHOLD_KMH = 3;   // Almost stopped
 const IDLING_TIME_THRESHOLD_SEC = 120;  // 2 minutes stationary
 const WINDOW_SIZE = 3; // Number of previous points to consider for jitter detection
+const MEASUREMENT_NOISE_M = 15; // GPS error (1 sigma) assumed by the Kalman filter
+const ACCELERATION_NOISE = 2;   // Expected acceleration (1 sigma, m/s^2) for the Kalman filter
+const TRIP_GAP_SEC = 900;       // No fix for 15 minutes ends a trip
+const TRIP_STOP_SEC = 900;      // So does standing still for 15 minutes
+const STOP_CLUSTER_RADIUS_M = 50; // Idling events this close are the same stop location
+const STOP_MERGE_GAP_SEC = 300;   // Events at one location this close in time are one visit
+
+// 'none' drops jitters; 'kalman' filters every fix, 'rts' also smooths backwards
+const SMOOTHING_MODES = ['none', 'kalman', 'rts'];
+
+// What processGPSData does with a point older than one before it in the input:
+// 'sort' processes it in time order anyway, 'reject' drops it
+const ORDER_MODES = ['sort', 'reject'];
+
+/**
+ * Default thresholds, overridable per call through processGPSData(data, options)
+ */
+const DEFAULT_OPTIONS = {
+  jitterSpeedThresholdKmh: JITTER_SPEED_THRESHOLD_KMH,
+  idlingSpeedThresholdKmh: IDLING_SPEED_THRESHOLD_KMH,
+  idlingTimeThresholdSec: IDLING_TIME_THRESHOLD_SEC,
+  windowSize: WINDOW_SIZE,
+  smoothing: 'none',
+  outOfOrder: 'sort',
+  measurementNoiseM: MEASUREMENT_NOISE_M,
+  accelerationNoise: ACCELERATION_NOISE,
+  tripGapSec: TRIP_GAP_SEC,
+  tripStopSec: TRIP_STOP_SEC,
+  stopClusterRadiusM: STOP_CLUSTER_RADIUS_M,
+  stopMergeGapSec: STOP_MERGE_GAP_SEC,
+  geofences: [] // GeoJSON or zone list, see geofence.js
+};
+
+/**
+ * Named vehicle profiles, applied on top of the defaults ('car')
+ */
+const VEHICLE_PROFILES = {
+  car: {},
+  // Slower top speed; loading stops under 5 minutes are part of the job
+  truck: { jitterSpeedThresholdKmh: 100, idlingTimeThresholdSec: 300 },
+  // Rarely above 40 km/h and often crawling in traffic
+  bike: { jitterSpeedThresholdKmh: 60, idlingSpeedThresholdKmh: 2, idlingTimeThresholdSec: 60 },
+  // Passenger stops of a minute or two are not idling
+  bus: { jitterSpeedThresholdKmh: 100, idlingTimeThresholdSec: 180 }
+};
+
+/**
+ * Merge defaults, an optional `profile` and explicit overrides into a
+ * complete, validated set of thresholds
+ */
+function resolveOptions(options = {}) {
+  const { profile, ...overrides } = options;
+
+  if (profile !== undefined && !Object.prototype.hasOwnProperty.call(VEHICLE_PROFILES, profile)) {
+    throw new Error(`Unknown vehicle profile: ${profile} (expected one of ${Object.keys(VEHICLE_PROFILES).join(', ')})`);
+  }
+
+  const resolved = { ...DEFAULT_OPTIONS, ...(profile ? VEHICLE_PROFILES[profile] : {}) };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_OPTIONS, key)) {
+      throw new Error(`Unknown option: ${key} (expected one of ${Object.keys(DEFAULT_OPTIONS).join(', ')})`);
+    }
+    resolved[key] = value;
+  });
+
+  if (!SMOOTHING_MODES.includes(resolved.smoothing)) {
+    throw new Error(`Option smoothing must be one of ${SMOOTHING_MODES.join(', ')}, got ${resolved.smoothing}`);
+  }
+  if (!ORDER_MODES.includes(resolved.outOfOrder)) {
+    throw new Error(`Option outOfOrder must be one of ${ORDER_MODES.join(', ')}, got ${resolved.outOfOrder}`);
+  }
+  resolved.geofences = loadGeofences(resolved.geofences);
+  Object.entries(resolved).forEach(([key, value]) => {
+    if (key === 'smoothing' || key === 'outOfOrder' || key === 'geofences') return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Option ${key} must be a positive number, got ${value}`);
+    }
+  });
+  if (!Number.isInteger(resolved.windowSize)) {
+    throw new Error(`Option windowSize must be a whole number, got ${resolved.windowSize}`);
+  }
+
+  return resolved;
+}
 
 /**
  * Calculate speed between two GPS points
@@ -46,171 +148,490 @@ function calculateSpeed(point1, point2) {
 /**
  * Check if a point is a jitter using sliding window approach
  */
-function isJitter(current, recentCleanPoints) {
-  if (recentCleanPoints.length === 0) return false;
+function isJitter(current, recentCleanPoints, options = DEFAULT_OPTIONS) {
+  return checkJitter(current, recentCleanPoints, options).jitter;
+}
+
+/**
+ * isJitter with its evidence: { jitter, references }, where references are
+ * the recent clean points compared against as { point, speedKmh }, newest first
+ */
+function checkJitter(current, recentCleanPoints, options = DEFAULT_OPTIONS) {
+  if (recentCleanPoints.length === 0) return { jitter: false, references: [] };
 
   // Check against multiple recent points to avoid cascading false positives
   let suspiciousCount = 0;
-  const pointsToCheck = Math.min(WINDOW_SIZE, recentCleanPoints.length);
+  const references = [];
+  const pointsToCheck = Math.min(options.windowSize, recentCleanPoints.length);
 
   for (let i = recentCleanPoints.length - 1; i >= recentCleanPoints.length - pointsToCheck; i--) {
     const prev = recentCleanPoints[i];
     const speed = calculateSpeed(prev, current);
+    references.push({ point: prev, speedKmh: speed });
 
-    if (speed > JITTER_SPEED_THRESHOLD_KMH) {
+    if (speed > options.jitterSpeedThresholdKmh) {
       suspiciousCount++;
     }
   }
 
   // Only mark as jitter if it's suspicious relative to majority of recent points
-  return suspiciousCount >= Math.ceil(pointsToCheck / 2);
+  return { jitter: suspiciousCount >= Math.ceil(pointsToCheck / 2), references };
 }
 
+// Where and when a point was, for verdicts that refer to other points
+const pointRef = (point) => ({ gpstime: point.gpstime, lat: point.lat, lon: point.lon });
+
 /**
- * Main GPS data processing function
+ * Incremental jitter and idling detection for time-ordered points, e.g. a
+ * live feed. Only the last few clean points are kept, so memory stays
+ * constant however long the track is.
+ *
+ * push(point) emits one of:
+ * - 'out-of-order' (point, { after }): older than the last clean point
+ * - 'duplicate' (point, { duplicateOf }): same timestamp as the last clean point
+ * - 'jitter' (point, { speedKmh, thresholdKmh, references }): rejected by
+ *   isJitter; speedKmh is the highest speed to the reference points
+ *   ({ gpstime, lat, lon, speedKmh }, the window compared against)
+ * - 'clean-point' (point): accepted
+ * and, as the vehicle stops and moves on:
+ * - 'idle-start' ({ point, startTime }): stationary for idlingTimeThresholdSec
+ * - 'idle-end' (idling event): the stop is over; the event has the same
+ *   shape as processGPSData's idlingPoints entries
+ * flush() ends the track, closing a stop that lasts until the last point.
+ *
+ * processGPSData runs on this processor, so both give the same results.
  */
-function processGPSData(data) {
-  const cleanPath = [];
-  const jitters = [];
-  const idlingPoints = [];
-  const statistics = {
-    totalPoints: data.length,
-    cleanPoints: 0,
-    jittersRemoved: 0,
-    idlingEvents: 0,
-    duplicateTimestamps: 0
-  };
-
-  // Sort by time
-  data.sort((a, b) => new Date(a.gpstime) - new Date(b.gpstime));
-
-  let idleStartTime = null;
-  let idleStartPoint = null;
-  let lastNonZeroSpeedTime = null;
+class GPSProcessor extends EventEmitter {
+  constructor(options = {}, { detectJitters = true } = {}) {
+    super();
+    this.options = resolveOptions(options);
+    this.detectJitters = detectJitters;
+    this.recent = []; // Last clean points: the jitter window and the previous point
+    this.idleStartTime = null;
+    this.idleStartPoint = null;
+    this.idleAnnounced = false;
+  }
 
-  for (let i = 0; i < data.length; i++) {
-    const current = data[i];
+  push(current) {
+    const config = this.options;
+    const recent = this.recent;
 
-    // Skip duplicate timestamps
-    if (cleanPath.length > 0) {
-      const prev = cleanPath[cleanPath.length - 1];
+    // Skip points from the past and duplicate timestamps
+    if (recent.length > 0) {
+      const prev = recent[recent.length - 1];
       const timeDiff = new Date(current.gpstime) - new Date(prev.gpstime);
 
+      if (timeDiff < 0) {
+        this.emit('out-of-order', current, { after: pointRef(prev) });
+        return 'out-of-order';
+      }
       if (timeDiff === 0) {
-        statistics.duplicateTimestamps++;
-        continue;
+        this.emit('duplicate', current, { duplicateOf: pointRef(prev) });
+        return 'duplicate';
       }
     }
 
-    // Jitter Detection using sliding window
-    if (cleanPath.length >= 1) {
-      if (isJitter(current, cleanPath)) {
-        jitters.push(current);
-        statistics.jittersRemoved++;
-        continue; // Skip adding to clean path
+    // Jitter Detection using sliding window (the Kalman filter does its own)
+    if (recent.length >= 1 && this.detectJitters) {
+      const { jitter, references } = checkJitter(current, recent, config);
+      if (jitter) {
+        this.emit('jitter', current, {
+          speedKmh: Math.max(...references.map(r => r.speedKmh)),
+          thresholdKmh: config.jitterSpeedThresholdKmh,
+          references: references.map(r => ({ ...pointRef(r.point), speedKmh: r.speedKmh }))
+        });
+        return 'jitter'; // Skip adding to clean path
       }
     }
 
     // Add to clean path
-    cleanPath.push(current);
-    statistics.cleanPoints++;
+    recent.push(current);
+    if (recent.length > Math.max(config.windowSize, 2)) recent.shift();
+    this.emit('clean-point', current);
 
     // Idling Detection
-    if (cleanPath.length >= 2) {
-      const prev = cleanPath[cleanPath.length - 2];
+    if (recent.length >= 2) {
+      const prev = recent[recent.length - 2];
       const speed = calculateSpeed(prev, current);
 
-      if (speed < IDLING_SPEED_THRESHOLD_KMH) {
+      if (speed < config.idlingSpeedThresholdKmh) {
         // Vehicle is moving very slowly or stopped
-        if (!idleStartTime) {
-          idleStartTime = new Date(prev.gpstime);
-          idleStartPoint = prev;
+        if (!this.idleStartTime) {
+          this.idleStartTime = new Date(prev.gpstime);
+          this.idleStartPoint = prev;
+        }
+        if (!this.idleAnnounced &&
+          (new Date(current.gpstime) - this.idleStartTime) / 1000 >= config.idlingTimeThresholdSec) {
+          this.idleAnnounced = true;
+          this.emit('idle-start', { point: this.idleStartPoint, startTime: this.idleStartTime });
         }
       } else {
         // Vehicle is moving
-        lastNonZeroSpeedTime = new Date(current.gpstime);
+        this.endIdle(prev);
+      }
+    }
 
-        if (idleStartTime) {
-          const idleDuration = (new Date(prev.gpstime) - idleStartTime) / 1000;
+    return 'clean';
+  }
 
-          if (idleDuration >= IDLING_TIME_THRESHOLD_SEC) {
-            // Check if we already recorded this idling point
-            const isDuplicate = idlingPoints.some(p =>
-              p.lat === idleStartPoint.lat && p.lon === idleStartPoint.lon
-            );
+  flush() {
+    // Check final idling sequence (if journey ends while idling)
+    if (this.recent.length > 0) {
+      this.endIdle(this.recent[this.recent.length - 1]);
+    }
+  }
 
-            if (!isDuplicate) {
-              idlingPoints.push({
-                ...idleStartPoint,
-                duration: idleDuration,
-                startTime: idleStartTime,
-                endTime: new Date(prev.gpstime)
-              });
-              statistics.idlingEvents++;
-            }
-          }
+  // Close the current stop at `lastStationary`, reporting it if long enough
+  endIdle(lastStationary) {
+    if (!this.idleStartTime) return;
 
-          idleStartTime = null;
-          idleStartPoint = null;
-        }
+    const idleDuration = (new Date(lastStationary.gpstime) - this.idleStartTime) / 1000;
+    if (idleDuration >= this.options.idlingTimeThresholdSec) {
+      this.emit('idle-end', {
+        ...this.idleStartPoint,
+        duration: idleDuration,
+        startTime: this.idleStartTime,
+        endTime: new Date(lastStationary.gpstime)
+      });
+    }
+
+    this.idleStartTime = null;
+    this.idleStartPoint = null;
+    this.idleAnnounced = false;
+  }
+}
+
+/**
+ * Distance, timing and speed figures for the points of one trip. Time between
+ * two fixes counts as idle when the vehicle moved slower than the idling
+ * speed threshold, else as moving; the average speed is over moving time.
+ */
+function summarizeTrip(points, id, options = DEFAULT_OPTIONS) {
+  const distanceMeters = geolib.getPathLength(points.map(p => ({ latitude: p.lat, longitude: p.lon })));
+  let movingTimeSec = 0;
+  let idleTimeSec = 0;
+  let maxSpeedKmh = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const seconds = (new Date(points[i].gpstime) - new Date(points[i - 1].gpstime)) / 1000;
+    const speed = calculateSpeed(points[i - 1], points[i]);
+    if (speed < options.idlingSpeedThresholdKmh) {
+      idleTimeSec += seconds;
+    } else {
+      movingTimeSec += seconds;
+    }
+    maxSpeedKmh = Math.max(maxSpeedKmh, speed);
+  }
+
+  return {
+    id,
+    startTime: new Date(points[0].gpstime),
+    endTime: new Date(points[points.length - 1].gpstime),
+    points,
+    pointCount: points.length,
+    distanceMeters,
+    durationSec: movingTimeSec + idleTimeSec,
+    movingTimeSec,
+    idleTimeSec,
+    averageSpeedKmh: movingTimeSec > 0 ? (distanceMeters / 1000) / (movingTimeSec / 3600) : 0,
+    maxSpeedKmh
+  };
+}
+
+/**
+ * Split a clean path into trips. A trip ends when there is no fix for more
+ * than `tripGapSec`, at a leg faster than the jitter speed threshold (a jump
+ * the jitter window let through, counted in no trip's distance or speed), or
+ * when the vehicle stands still (below the idling speed) for at least
+ * `tripStopSec`; the stop itself belongs to no trip. Trips need at least two
+ * points.
+ */
+function segmentTrips(cleanPath, options = DEFAULT_OPTIONS) {
+  const trips = [];
+  const time = (i) => new Date(cleanPath[i].gpstime);
+  const close = (from, to) => {
+    if (to > from) trips.push(summarizeTrip(cleanPath.slice(from, to + 1), trips.length + 1, options));
+  };
+  const isLongStop = (from, to) => from !== null && (time(to) - time(from)) / 1000 >= options.tripStopSec;
+
+  let tripStart = 0;
+  let stopStart = null;
+
+  for (let i = 1; i < cleanPath.length; i++) {
+    const speed = calculateSpeed(cleanPath[i - 1], cleanPath[i]);
+    if ((time(i) - time(i - 1)) / 1000 > options.tripGapSec || speed > options.jitterSpeedThresholdKmh) {
+      close(tripStart, isLongStop(stopStart, i - 1) ? stopStart : i - 1);
+      tripStart = i;
+      stopStart = null;
+    } else if (speed < options.idlingSpeedThresholdKmh) {
+      if (stopStart === null) stopStart = i - 1;
+    } else {
+      if (isLongStop(stopStart, i - 1)) {
+        close(tripStart, stopStart);
+        tripStart = i - 1;
       }
+      stopStart = null;
     }
   }
+  if (cleanPath.length > 0) {
+    close(tripStart, isLongStop(stopStart, cleanPath.length - 1) ? stopStart : cleanPath.length - 1);
+  }
 
-  // Check final idling sequence (if journey ends while idling)
-  if (idleStartTime && cleanPath.length > 0) {
-    const lastPoint = cleanPath[cleanPath.length - 1];
-    const idleDuration = (new Date(lastPoint.gpstime) - idleStartTime) / 1000;
-
-    if (idleDuration >= IDLING_TIME_THRESHOLD_SEC) {
-      const isDuplicate = idlingPoints.some(p =>
-        p.lat === idleStartPoint.lat && p.lon === idleStartPoint.lon
-      );
-
-      if (!isDuplicate) {
-        idlingPoints.push({
-          ...idleStartPoint,
-          duration: idleDuration,
-          startTime: idleStartTime,
-          endTime: new Date(lastPoint.gpstime)
-        });
-        statistics.idlingEvents++;
+  return trips;
+}
+
+/**
+ * Main GPS data processing function
+ * `options` overrides the thresholds in DEFAULT_OPTIONS, optionally starting
+ * from a named vehicle `profile` (see VEHICLE_PROFILES)
+ *
+ * With `smoothing: 'kalman'` or `'rts'`, jitters are the fixes the Kalman
+ * filter rejects, and cleanPath holds corrected positions with the raw fix
+ * under `raw` and a per-point `uncertainty` in metres (see kalman.js)
+ *
+ * With `geofences`, the result also has `geofenceEvents` (enter/exit along
+ * the clean path) and `zones` (visits and dwell time per zone), and each
+ * idling event gets the `zone` it happened in (see geofence.js)
+ *
+ * `verdicts` has one entry per input point, in input order:
+ * { index, verdict, gpstime, lat, lon, ...details }, verdict being one of
+ * - 'kept': on the clean path (`outOfOrder: true` if it arrived late)
+ * - 'jitter': { speedKmh, thresholdKmh, references } as GPSProcessor
+ *   reports it; with smoothing, `method: 'kalman'` and the speed from the
+ *   preceding clean point
+ * - 'duplicate': { duplicateOf }, the point with the same timestamp kept
+ * - 'invalid-coordinate' / 'invalid-time': { message }; not processed
+ * - 'out-of-order': { after }, the later point it arrived after; only with
+ *   `outOfOrder: 'reject'`, otherwise late points are processed in time order
+ */
+function processGPSData(data, options = {}) {
+  const config = resolveOptions(options);
+  const cleanPath = [];
+  const jitters = [];
+  const idlingPoints = [];
+  const statistics = {
+    totalPoints: data.length,
+    cleanPoints: 0,
+    jittersRemoved: 0,
+    idlingEvents: 0,
+    duplicateTimestamps: 0,
+    invalidPoints: 0,
+    outOfOrderPoints: 0
+  };
+
+  // Input positions per point, so every verdict can name the record it is about
+  const verdicts = new Array(data.length);
+  const indexOf = new Map();
+  data.forEach((point, index) => {
+    if (!indexOf.has(point)) indexOf.set(point, []);
+    indexOf.get(point).push(index);
+  });
+  const late = new Set(); // Out-of-order points processed anyway
+  const judge = (point, verdict, details = {}) => {
+    const index = indexOf.get(point).shift();
+    const { gpstime, lat, lon } = point || {};
+    verdicts[index] = { index, verdict, gpstime, lat, lon, ...details };
+    if (late.has(point)) verdicts[index].outOfOrder = true;
+  };
+
+  // Drop unusable records, then note (or reject) points that arrive after a later one
+  const valid = [];
+  let latest = null;
+  data.forEach(point => {
+    // checkPoint also accepts epochs as strings, which Date below does not
+    const problem = checkPoint(point) || (Number.isNaN(new Date(point.gpstime).getTime())
+      ? { verdict: 'invalid-time', message: `Invalid time: ${JSON.stringify(point.gpstime)}` }
+      : null);
+    if (problem) {
+      statistics.invalidPoints++;
+      judge(point, problem.verdict, { message: problem.message });
+      return;
+    }
+    if (latest && new Date(point.gpstime) < new Date(latest.gpstime)) {
+      statistics.outOfOrderPoints++;
+      if (config.outOfOrder === 'reject') {
+        judge(point, 'out-of-order', { after: pointRef(latest) });
+        return;
       }
+      late.add(point);
     }
+    if (!latest || new Date(point.gpstime) > new Date(latest.gpstime)) latest = point;
+    valid.push(point);
+  });
+
+  // Sort by time (stable, so duplicates keep their input order)
+  valid.sort((a, b) => new Date(a.gpstime) - new Date(b.gpstime));
+
+  let points = valid;
+  let sourceOf = (point) => point;
+  if (config.smoothing !== 'none') {
+    const unique = valid.filter((p, i) => {
+      const isDuplicate = i > 0 && new Date(p.gpstime) - new Date(valid[i - 1].gpstime) === 0;
+      if (isDuplicate) {
+        statistics.duplicateTimestamps++;
+        judge(p, 'duplicate', { duplicateOf: pointRef(valid[i - 1]) });
+      }
+      return !isDuplicate;
+    });
+    const smoothed = kalmanSmooth(unique, {
+      measurementNoiseM: config.measurementNoiseM,
+      accelerationNoise: config.accelerationNoise,
+      smoother: config.smoothing === 'rts',
+      window: config.windowSize
+    });
+    points = smoothed.points;
+    jitters.push(...smoothed.outliers);
+    statistics.jittersRemoved = smoothed.outliers.length;
+
+    // Smoothed points are copies; timestamps are unique by now
+    const byTime = new Map(unique.map(p => [new Date(p.gpstime).getTime(), p]));
+    sourceOf = (point) => byTime.get(new Date(point.gpstime).getTime());
   }
 
-  return { cleanPath, jitters, idlingPoints, statistics };
+  // Jitter and idling detection, one point at a time (see GPSProcessor)
+  const processor = new GPSProcessor(config, { detectJitters: config.smoothing === 'none' });
+  processor.on('duplicate', (point, details) => {
+    statistics.duplicateTimestamps++;
+    judge(point, 'duplicate', details);
+  });
+  processor.on('jitter', (point, details) => {
+    jitters.push(point);
+    statistics.jittersRemoved++;
+    judge(point, 'jitter', details);
+  });
+  processor.on('clean-point', point => {
+    cleanPath.push(point);
+    statistics.cleanPoints++;
+    judge(sourceOf(point), 'kept');
+  });
+  processor.on('idle-end', event => {
+    // Repeated stops at one place are grouped by clusterStops below
+    idlingPoints.push(event);
+    statistics.idlingEvents++;
+  });
+  points.forEach(point => processor.push(point));
+  processor.flush();
+
+  // Kalman outliers, measured against the clean fix before each
+  if (config.smoothing !== 'none') {
+    let next = 0;
+    [...jitters].sort((a, b) => new Date(a.gpstime) - new Date(b.gpstime)).forEach(point => {
+      while (next < cleanPath.length && new Date(cleanPath[next].gpstime) < new Date(point.gpstime)) next++;
+      const reference = next > 0 ? sourceOf(cleanPath[next - 1]) : null;
+      const speedKmh = reference ? calculateSpeed(reference, point) : null;
+      judge(point, 'jitter', {
+        method: 'kalman',
+        speedKmh,
+        references: reference ? [{ ...pointRef(reference), speedKmh }] : []
+      });
+    });
+  }
+
+  let geofenceEvents = [];
+  let zones = [];
+  if (config.geofences.length > 0) {
+    ({ events: geofenceEvents, zones } = trackGeofences(cleanPath, config.geofences));
+    idlingPoints.forEach(event => {
+      event.zone = zoneOf(config.geofences, event);
+    });
+    zones.forEach(zone => {
+      zone.idlingEvents = idlingPoints.filter(event => event.zone === zone.name).length;
+    });
+    statistics.geofenceEvents = geofenceEvents.length;
+  }
+
+  const stopClusters = clusterStops(idlingPoints, {
+    radiusM: config.stopClusterRadiusM,
+    mergeGapSec: config.stopMergeGapSec
+  });
+  statistics.stopLocations = stopClusters.length;
+
+  const trips = segmentTrips(cleanPath, config);
+  statistics.trips = trips.length;
+
+  return {
+    cleanPath, jitters, idlingPoints, stopClusters, trips, geofenceEvents, zones, verdicts, statistics, options: config
+  };
 }
 
+// Record fields that identify the vehicle, tried in order when none is given
+const VEHICLE_KEYS = ['vehicle', 'vehicleId', 'vehicle_id', 'deviceId', 'device_id', 'device', 'imei'];
+
 /**
- * Generate interactive HTML map
+ * The first of VEHICLE_KEYS that the records carry, or null
  */
-function generateMapHTML(original, clean, jitters, idling, statistics) {
-  const cleanCoords = clean.map(p => [p.lat, p.lon]);
-  const jitterCoords = jitters.map(p => [p.lat, p.lon]);
-  const idleCoords = idling.map(p => [p.lat, p.lon]);
+function detectVehicleKey(data) {
+  return VEHICLE_KEYS.find(key => data.some(p => p && p[key] !== undefined && p[key] !== null)) || null;
+}
 
-  // Calculate center point
-  const center = cleanCoords.length > 0 ? cleanCoords[0] : [19.0, 72.8];
+/**
+ * Process a mixed export of several vehicles. Points are grouped by
+ * `vehicleKey` (detected from VEHICLE_KEYS when omitted) and each group runs
+ * through processGPSData with the remaining options; points without the key,
+ * and records that aren't objects, form the group 'unknown'.
+ * Returns { vehicleKey, vehicles: [{ vehicleId, ...processGPSData result }],
+ * fleet, options }, where fleet sums the per-vehicle statistics. Verdict
+ * indices refer to positions in `data`, not in the vehicle's group.
+ */
+function processFleet(data, options = {}) {
+  const { vehicleKey, ...processingOptions } = options;
+  const key = vehicleKey || detectVehicleKey(data);
+  if (!key) {
+    throw new Error(`No vehicle key found; records need one of ${VEHICLE_KEYS.join(', ')} (or pass vehicleKey)`);
+  }
+  const config = resolveOptions(processingOptions);
 
-  // Calculate bounds for auto-zoom
-  const allLats = cleanCoords.map(c => c[0]);
-  const allLons = cleanCoords.map(c => c[1]);
-  const bounds = cleanCoords.length > 0 ? [
-    [Math.min(...allLats), Math.min(...allLons)],
-    [Math.max(...allLats), Math.max(...allLons)]
-  ] : null;
+  const groups = new Map();
+  const positions = new Map();
+  data.forEach((point, index) => {
+    const value = point && point[key];
+    const vehicleId = value === undefined || value === null ? 'unknown' : String(value);
+    if (!groups.has(vehicleId)) {
+      groups.set(vehicleId, []);
+      positions.set(vehicleId, []);
+    }
+    groups.get(vehicleId).push(point);
+    positions.get(vehicleId).push(index);
+  });
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-    <title>GPS Trajectory Analysis</title>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <link rel="stylesheet" href="https://unpkg.com/leaflet@1.7.1/dist/leaflet.css" />
-    <script src="https://unpkg.com/leaflet@1.7.1/dist/leaflet.js"></script>
-    <style>
-        body { margin: 0; padding: 0; font-family: Arial, sans-serif; }
+  const vehicles = [...groups.keys()]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(vehicleId => {
+      const result = processGPSData(groups.get(vehicleId), processingOptions);
+      result.verdicts.forEach(verdict => {
+        verdict.index = positions.get(vehicleId)[verdict.index];
+      });
+      return { vehicleId, ...result };
+    });
+
+  const fleet = {
+    vehicles: vehicles.length,
+    totalPoints: 0,
+    cleanPoints: 0,
+    jittersRemoved: 0,
+    idlingEvents: 0,
+    duplicateTimestamps: 0,
+    invalidPoints: 0,
+    outOfOrderPoints: 0,
+    trips: 0,
+    distanceMeters: 0,
+    movingTimeSec: 0,
+    idleTimeSec: 0
+  };
+  vehicles.forEach(vehicle => {
+    vehicle.statistics.distanceMeters = vehicle.trips.reduce((sum, t) => sum + t.distanceMeters, 0);
+    vehicle.statistics.movingTimeSec = vehicle.trips.reduce((sum, t) => sum + t.movingTimeSec, 0);
+    vehicle.statistics.idleTimeSec = vehicle.trips.reduce((sum, t) => sum + t.idleTimeSec, 0);
+    Object.keys(fleet).forEach(name => {
+      if (name !== 'vehicles') fleet[name] += vehicle.statistics[name];
+    });
+  });
+
+  return { vehicleKey: key, vehicles, fleet, options: config };
+}
+
+// Map stylesheet and marker pins (orange, green, red) shared by the map generators
+const MAP_STYLE = `        body { margin: 0; padding: 0; font-family: Arial, sans-serif; }
         #map { height: 100vh; width: 100%; }
         .legend {
             position: absolute;
@@ -246,17 +667,283 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
         }
         .stats h3 { margin: 0 0 10px 0; font-size: 14px; }
         .stats-item { margin: 3px 0; }
+        .stats-trip { display: flex; align-items: center; }
+        .stats-trip .legend-color { width: 10px; height: 10px; margin-right: 6px; }
+`;
+
+const MARKER_ICONS = {
+  idle: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjRkY4QzAwIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg==',
+  start: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjMDBDODUxIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg==',
+  end: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjREM0MzRDIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg=='
+};
+
+// Transparent 1x1 GIF for tiles missing from an offline map
+const BLANK_TILE = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+/**
+ * Leaflet's stylesheet and script: links to unpkg, or inlined for an offline
+ * map (`offline` from prepareOfflineMap)
+ */
+function leafletTags(offline) {
+  if (!offline) {
+    return `    <link rel="stylesheet" href="https://unpkg.com/leaflet@1.7.1/dist/leaflet.css" />
+    <script src="https://unpkg.com/leaflet@1.7.1/dist/leaflet.js"></script>`;
+  }
+  return `    <style>
+${offline.leaflet.css}
     </style>
+    <script>
+${offline.leaflet.js}
+    </script>`;
+}
+
+/**
+ * Leaflet script adding the base map: OpenStreetMap tiles, or the tiles
+ * embedded in an offline map, with zooming limited to the levels embedded
+ */
+function tileLayerScript(offline) {
+  if (!offline) {
+    return `        // Add tile layer
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(map);
+`;
+  }
+  const { images, minZoom, maxZoom, attribution } = offline.tiles;
+  return `        // Add tile layer (embedded tiles, no network access)
+        var tiles = ${JSON.stringify(images)};
+        var EmbeddedTiles = L.TileLayer.extend({
+            getTileUrl: function(coords) {
+                return tiles[coords.z + '/' + coords.x + '/' + coords.y] || '${BLANK_TILE}';
+            }
+        });
+        new EmbeddedTiles('', {
+            attribution: ${JSON.stringify(attribution || '').replace(/</g, '\\u003c')},
+            minZoom: ${minZoom},
+            maxZoom: ${maxZoom}
+        }).addTo(map);
+        map.setMinZoom(${minZoom});
+        map.setMaxZoom(${maxZoom});
+`;
+}
+
+/**
+ * Leaflet script drawing geofences (see geofence.js) as purple outlines with
+ * a popup giving their visits and dwell time from `zones`
+ */
+function geofenceScript(geofences, zones = []) {
+  if (geofences.length === 0) return '';
+  const shapes = geofences.map(fence => {
+    const zone = zones.find(z => z.name === fence.name);
+    return {
+      name: fence.name,
+      circle: fence.type === 'circle' ? { center: [fence.lat, fence.lon], radius: fence.radius } : null,
+      polygons: fence.type === 'polygon'
+        ? fence.polygons.map(rings => rings.map(ring => ring.map(p => [p.latitude, p.longitude])))
+        : null,
+      visits: zone ? zone.visits : null,
+      dwellMin: zone ? Math.round(zone.dwellSec / 60) : null
+    };
+  });
+
+  return `        // Purple Outlines: Geofences
+        var geofences = ${JSON.stringify(shapes).replace(/</g, '\\u003c')};
+        geofences.forEach(function(g) {
+            var style = { color: 'purple', weight: 2, fillOpacity: 0.08, dashArray: '4, 4' };
+            var shape = g.circle ? L.circle(g.circle.center, Object.assign({ radius: g.circle.radius }, style)) : L.polygon(g.polygons, style);
+            var text = document.createElement('div');
+            text.textContent = g.name;
+            var label = text.innerHTML;
+            shape.addTo(map).bindTooltip(label).bindPopup(
+                "<b>Geofence: " + label + "</b>" +
+                (g.visits !== null ? "<br>Visits: " + g.visits + "<br>Dwell: " + g.dwellMin + " minutes" : "")
+            );
+        });
+
+`;
+}
+
+/**
+ * Geofences as svgMap areas, titled with their visits and dwell time
+ */
+function svgGeofences(geofences, zones = []) {
+  return geofences.map(fence => {
+    const zone = zones.find(z => z.name === fence.name);
+    const label = `Geofence: ${fence.name}` +
+      (zone ? ` - ${zone.visits} visit(s), ${Math.round(zone.dwellSec / 60)} minutes dwell` : '');
+    return fence.type === 'circle'
+      ? { center: [fence.lat, fence.lon], radiusM: fence.radius, color: 'purple', dashed: true, title: label }
+      : { rings: fence.polygons.flat().map(ring => ring.map(p => [p.latitude, p.longitude])), color: 'purple', dashed: true, title: label };
+  });
+}
+
+/**
+ * Page for an offline map without tiles: the static `svg` (from svgMap)
+ * with the usual legend and statistics panels, and no script
+ */
+function svgPage(title, style, svg, legend, stats) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+${MAP_STYLE}        #map svg { display: block; }
+${style}    </style>
 </head>
 <body>
-    <div id="map"></div>
+    <div id="map">
+${svg}
+    </div>
+    
+${legend}
     
-    <div class="legend">
+${stats}
+</body>
+</html>`;
+}
+
+const isoTime = (value) => new Date(value).toISOString();
+
+// Trip polyline colours, cycled; red, orange and green are taken by markers
+const TRIP_COLORS = ['blue', '#8e44ad', '#00a6b4', '#8b4513', '#e84393', '#2c3e50', '#b5a300', '#1e90ff'];
+
+// Route colours by speed, slowest first; a segment takes the first band whose maxKmh exceeds its speed
+const SPEED_BANDS = [
+  { maxKmh: 10, color: '#3288bd' },
+  { maxKmh: 30, color: '#66c2a5' },
+  { maxKmh: 50, color: '#abdda4' },
+  { maxKmh: 80, color: '#fdae61' },
+  { maxKmh: 120, color: '#f46d43' },
+  { maxKmh: Infinity, color: '#9e0142' }
+];
+
+const speedColor = (speedKmh) => SPEED_BANDS.find(band => speedKmh < band.maxKmh).color;
+
+// Playback speeds offered, as multiples of real time
+const PLAYBACK_RATES = [10, 60, 300, 1200];
+const DEFAULT_PLAYBACK_RATE = 60;
+
+const PLAYBACK_STYLE = `        .playback {
+            position: absolute;
+            bottom: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: white;
+            padding: 8px 12px;
+            border-radius: 5px;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+            z-index: 1000;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 12px;
+        }
+        .playback input[type=range] { width: 300px; }
+        .playback button { width: 32px; cursor: pointer; }
+        .legend h4 { margin: 10px 0 5px 0; font-size: 13px; }
+`;
+
+/**
+ * Generate interactive HTML map
+ * With `showRaw`, the raw fixes in `original` (in any order) are drawn as a grey dashed line
+ * next to the (smoothed) clean route, and each can be toggled. With `trips`
+ * (from segmentTrips), each trip gets its own colour and a line in the
+ * statistics panel instead of one route across gaps. `stopClusters` (from
+ * clusterStops) are drawn as circles whose area grows with dwell time, and
+ * `geofences` (loaded zones, with `zones` from trackGeofences for dwell
+ * figures) as purple outlines.
+ * The route is also drawn in segments coloured by speed (calculateSpeed);
+ * every clean point has a popup with its time and speed, and a timeline
+ * slider plays a marker along the clean path. Segments between trips (gaps
+ * and long stops) are dotted instead.
+ * With `offline` (from prepareOfflineMap) the page needs no network: Leaflet
+ * and the tiles are inlined, or without tiles the map is a static SVG.
+ */
+function generateMapHTML(original, clean, jitters, idling, statistics, {
+  showRaw = false, trips = [], stopClusters = [], geofences = [], zones = [], offline = null
+} = {}) {
+  const cleanCoords = clean.map(p => [p.lat, p.lon]);
+  const rawCoords = showRaw
+    ? [...original].sort((a, b) => new Date(a.gpstime) - new Date(b.gpstime)).map(p => [p.lat, p.lon])
+    : [];
+  const routeName = showRaw ? 'Smoothed Route' : 'Clean Route';
+  const tripLines = trips.map((trip, i) => ({
+    name: `Trip ${trip.id}`,
+    color: TRIP_COLORS[i % TRIP_COLORS.length],
+    coords: trip.points.map(p => [p.lat, p.lon]),
+    startTime: trip.startTime,
+    endTime: trip.endTime,
+    distanceKm: +(trip.distanceMeters / 1000).toFixed(1),
+    movingMin: Math.round(trip.movingTimeSec / 60),
+    idleMin: Math.round(trip.idleTimeSec / 60),
+    averageSpeedKmh: Math.round(trip.averageSpeedKmh),
+    maxSpeedKmh: Math.round(trip.maxSpeedKmh)
+  }));
+  const stopCircles = stopClusters.map(c => ({
+    id: c.id,
+    lat: c.lat,
+    lon: c.lon,
+    radius: Math.round(20 + 15 * Math.sqrt(c.totalDwellSec / 60)),
+    visits: c.visits,
+    dwellMin: Math.round(c.totalDwellSec / 60),
+    firstVisit: c.firstVisit,
+    lastVisit: c.lastVisit
+  }));
+  const jitterCoords = jitters.map(p => [p.lat, p.lon]);
+  const idleCoords = idling.map(p => [p.lat, p.lon]);
+  const interactive = !(offline && !offline.tiles);
+
+  // Playback track: [lat, lon, time (ms), speed arriving at the point (km/h)]
+  const track = clean.map((p, i) => [
+    p.lat,
+    p.lon,
+    new Date(p.gpstime).getTime(),
+    i === 0 ? 0 : +calculateSpeed(clean[i - 1], p).toFixed(1)
+  ]);
+
+  // Speed-coloured route, merging consecutive segments of the same colour
+  const tripOf = new Map();
+  trips.forEach(trip => trip.points.forEach(p => tripOf.set(p, trip.id)));
+  const speedLines = [];
+  for (let i = 1; i < clean.length; i++) {
+    const between = trips.length > 0 && (!tripOf.has(clean[i]) || tripOf.get(clean[i]) !== tripOf.get(clean[i - 1]));
+    const color = between ? '#555' : speedColor(track[i][3]);
+    const last = speedLines[speedLines.length - 1];
+    if (last && last.color === color && last.between === between) {
+      last.coords.push(cleanCoords[i]);
+    } else {
+      speedLines.push({ color, between, coords: [cleanCoords[i - 1], cleanCoords[i]] });
+    }
+  }
+  const hasGaps = speedLines.some(line => line.between);
+
+  // Calculate center point
+  const center = cleanCoords.length > 0 ? cleanCoords[0] : [19.0, 72.8];
+
+  // Calculate bounds for auto-zoom
+  const allLats = cleanCoords.map(c => c[0]);
+  const allLons = cleanCoords.map(c => c[1]);
+  const bounds = cleanCoords.length > 0 ? [
+    [Math.min(...allLats), Math.min(...allLons)],
+    [Math.max(...allLats), Math.max(...allLons)]
+  ] : null;
+
+  const legend = `    <div class="legend">
         <h3 style="margin: 0 0 10px 0;">Legend</h3>
-        <div class="legend-item">
+${tripLines.length > 0 ? tripLines.map(t => `        <div class="legend-item">
+            <div class="legend-color" style="background: ${t.color};"></div>
+            <span>${t.name}</span>
+        </div>`).join('\n') : `        <div class="legend-item">
             <div class="legend-color" style="background: blue;"></div>
-            <span>Clean Route</span>
-        </div>
+            <span>${routeName}</span>
+        </div>`}${showRaw ? `
+        <div class="legend-item">
+            <div class="legend-color" style="background: repeating-linear-gradient(90deg, gray 0 6px, white 6px 10px);"></div>
+            <span>Raw Fixes</span>
+        </div>` : ''}
         <div class="legend-item">
             <div class="legend-color" style="background: red;"></div>
             <span>Jitters (Noise)</span>
@@ -264,37 +951,174 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
         <div class="legend-item">
             <div class="legend-color" style="background: orange;"></div>
             <span>Idling Points</span>
+        </div>${stopCircles.length > 0 ? `
+        <div class="legend-item">
+            <div class="legend-color" style="background: rgba(255, 140, 0, 0.3); border: 2px solid darkorange; border-radius: 50%; box-sizing: border-box;"></div>
+            <span>Stop Locations (size = dwell)</span>
+        </div>` : ''}${geofences.length > 0 ? `
+        <div class="legend-item">
+            <div class="legend-color" style="border: 2px dashed purple; box-sizing: border-box;"></div>
+            <span>Geofences</span>
+        </div>` : ''}${interactive && speedLines.length > 0 ? `
+        <div class="legend-item">
+            <div class="legend-color" style="background: white; border: 1px solid #333; border-radius: 50%; box-sizing: border-box;"></div>
+            <span>GPS Points (time &amp; speed)</span>
         </div>
-    </div>
-    
-    <div class="stats">
+        <h4>Speed</h4>
+${SPEED_BANDS.map((band, i) => `        <div class="legend-item">
+            <div class="legend-color" style="background: ${band.color};"></div>
+            <span>${band.maxKmh === Infinity ? `${SPEED_BANDS[i - 1].maxKmh}+` : `${i === 0 ? 0 : SPEED_BANDS[i - 1].maxKmh}-${band.maxKmh}`} km/h</span>
+        </div>`).join('\n')}${hasGaps ? `
+        <div class="legend-item">
+            <div class="legend-color" style="background: repeating-linear-gradient(90deg, #555 0 2px, white 2px 6px);"></div>
+            <span>Between Trips</span>
+        </div>` : ''}` : ''}
+    </div>`;
+
+  const stats = `    <div class="stats">
         <h3>Statistics</h3>
         <div class="stats-item">Total Points: ${statistics.totalPoints}</div>
         <div class="stats-item">Clean Points: ${statistics.cleanPoints}</div>
         <div class="stats-item">Jitters Removed: ${statistics.jittersRemoved}</div>
-        <div class="stats-item">Idling Events: ${statistics.idlingEvents}</div>
-        <div class="stats-item">Duplicate Timestamps: ${statistics.duplicateTimestamps}</div>
-    </div>
+        <div class="stats-item">Idling Events: ${statistics.idlingEvents}</div>${statistics.stopLocations !== undefined ? `
+        <div class="stats-item">Stop Locations: ${statistics.stopLocations}</div>` : ''}
+        <div class="stats-item">Duplicate Timestamps: ${statistics.duplicateTimestamps}</div>${statistics.invalidPoints > 0 ? `
+        <div class="stats-item">Invalid Points: ${statistics.invalidPoints}</div>` : ''}${statistics.outOfOrderPoints > 0 ? `
+        <div class="stats-item">Out of Order: ${statistics.outOfOrderPoints}</div>` : ''}${tripLines.length > 0 ? `
+        <div class="stats-item">Trips: ${tripLines.length}</div>
+${tripLines.map(t => `        <div class="stats-item stats-trip">
+            <div class="legend-color" style="background: ${t.color};"></div>
+            <span>${t.name}: ${t.distanceKm} km, ${t.movingMin} min moving, ${t.idleMin} min idle, avg ${t.averageSpeedKmh} / max ${t.maxSpeedKmh} km/h</span>
+        </div>`).join('\n')}` : ''}
+    </div>`;
+
+  if (!interactive) {
+    return svgPage('GPS Trajectory Analysis', '', svgMap({
+      lines: [
+        ...(showRaw ? [{ coords: rawCoords, color: 'gray', dashed: true, title: `Raw Fixes: ${rawCoords.length} GPS points as recorded` }] : []),
+        ...(tripLines.length > 0
+          ? tripLines.map(t => ({ coords: t.coords, color: t.color, title: `${t.name}: ${t.distanceKm} km, avg ${t.averageSpeedKmh} / max ${t.maxSpeedKmh} km/h` }))
+          : [{ coords: cleanCoords, color: 'blue', title: `${routeName}: ${statistics.cleanPoints} valid GPS points` }])
+      ],
+      areas: [
+        ...svgGeofences(geofences, zones),
+        ...stopCircles.map(c => ({
+          center: [c.lat, c.lon], radiusM: c.radius, color: 'darkorange', fill: '#ff8c00',
+          title: `Stop Location #${c.id}: ${c.visits} visit(s), ${c.dwellMin} minutes total dwell`
+        }))
+      ],
+      dots: jitters.map((p, i) => ({ at: [p.lat, p.lon], color: 'red', title: `Jitter #${i + 1} at ${isoTime(p.gpstime)}: removed due to unrealistic speed` })),
+      pins: [
+        ...idling.map(i => ({
+          at: [i.lat, i.lon], color: '#FF8C00',
+          title: `Idling Point: ${Math.round(i.duration / 60)} minutes, ${isoTime(i.startTime)} - ${isoTime(i.endTime)}${i.zone ? `, zone ${i.zone}` : ''}`
+        })),
+        ...(clean.length > 0 ? [
+          { at: cleanCoords[0], color: '#00C851', title: `Start Point: ${isoTime(clean[0].gpstime)}` },
+          { at: cleanCoords[cleanCoords.length - 1], color: '#DC434C', title: `End Point: ${isoTime(clean[clean.length - 1].gpstime)}` }
+        ] : [])
+      ]
+    }), legend, stats);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <title>GPS Trajectory Analysis</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+${leafletTags(offline)}
+    <style>
+${MAP_STYLE}${PLAYBACK_STYLE}    </style>
+</head>
+<body>
+    <div id="map"></div>
+    
+${legend}
     
+${stats}
+${track.length > 1 ? `
+    <div class="playback" id="playback">
+        <button id="play" title="Play / pause">&#9654;</button>
+        <input type="range" id="timeline" min="${track[0][2]}" max="${track[track.length - 1][2]}" step="any" value="${track[0][2]}">
+        <select id="rate" title="Playback speed">
+${PLAYBACK_RATES.map(rate => `            <option value="${rate}"${rate === DEFAULT_PLAYBACK_RATE ? ' selected' : ''}>${rate}x</option>`).join('\n')}
+        </select>
+        <span id="clock"></span>
+    </div>
+` : ''}    
     <script>
         // Initialize map
         var map = L.map('map').setView([${center[0]}, ${center[1]}], 13);
         
-        // Add tile layer
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '© OpenStreetMap contributors',
-            maxZoom: 19
-        }).addTo(map);
-
-        // Blue Line: Clean Path
+${tileLayerScript(offline)}
+        // Blue Line: Clean Path (one coloured line per trip when segmented), shown from the layer control
         var cleanLine = ${JSON.stringify(cleanCoords)};
-        if (cleanLine.length > 0) {
-            var polyline = L.polyline(cleanLine, {
+        var trips = ${JSON.stringify(tripLines)};
+        var route = L.featureGroup();
+        if (trips.length > 0) {
+            trips.forEach(function(t) {
+                L.polyline(t.coords, {
+                    color: t.color,
+                    weight: 4,
+                    opacity: 0.7
+                }).addTo(route).bindPopup(
+                    "<b>" + t.name + "</b><br>" +
+                    new Date(t.startTime).toLocaleTimeString() + " - " + new Date(t.endTime).toLocaleTimeString() + "<br>" +
+                    "Distance: " + t.distanceKm + " km<br>" +
+                    "Moving: " + t.movingMin + " min, Idle: " + t.idleMin + " min<br>" +
+                    "Avg speed: " + t.averageSpeedKmh + " km/h, Max: " + t.maxSpeedKmh + " km/h"
+                );
+            });
+        } else if (cleanLine.length > 0) {
+            L.polyline(cleanLine, {
                 color: 'blue', 
                 weight: 4,
                 opacity: 0.7
-            }).addTo(map);
-            polyline.bindPopup("<b>Clean Route</b><br>${statistics.cleanPoints} valid GPS points");
+            }).addTo(route).bindPopup("<b>${routeName}</b><br>${statistics.cleanPoints} valid GPS points");
+        }
+
+        // Coloured Line: Route by speed, dotted between trips
+        var speedLines = ${JSON.stringify(speedLines)};
+        var speedRoute = L.featureGroup().addTo(map);
+        speedLines.forEach(function(s) {
+            L.polyline(s.coords, s.between
+                ? { color: s.color, weight: 3, opacity: 0.8, dashArray: '2, 6' }
+                : { color: s.color, weight: 5, opacity: 0.9 }
+            ).addTo(speedRoute);
+        });
+
+        // White Dots: Clean points with their time and speed; clicking one moves playback there
+        var track = ${JSON.stringify(track)};
+        var points = L.featureGroup().addTo(map);
+        track.forEach(function(p, index) {
+            L.circleMarker([p[0], p[1]], {
+                color: '#333',
+                fillColor: 'white',
+                fillOpacity: 1,
+                radius: 3,
+                weight: 1
+            }).addTo(points).bindPopup(
+                "<b>Point #" + (index + 1) + "</b><br>" +
+                new Date(p[2]).toLocaleString() + "<br>" +
+                "Speed: " + (index === 0 ? "-" : p[3] + " km/h")
+            ).on('click', function() {
+                if (playback) playback.seek(p[2]);
+            });
+        });
+
+        var overlays = { 'Speed': speedRoute, '${tripLines.length > 0 ? 'Trips' : routeName}': route, 'GPS Points': points };
+${showRaw ? `
+        // Grey Dashed Line: Raw fixes, for comparison with the smoothed route
+        var rawLine = L.polyline(${JSON.stringify(rawCoords)}, {
+            color: 'gray',
+            weight: 2,
+            opacity: 0.8,
+            dashArray: '6, 4'
+        }).addTo(map).bindPopup("<b>Raw Fixes</b><br>${rawCoords.length} GPS points as recorded");
+        overlays['Raw Fixes'] = rawLine;
+` : ''}        if (cleanLine.length > 0) {
+            L.control.layers(null, overlays, { collapsed: false, position: 'topleft' }).addTo(map);
         }
 
         // Red Dots: Jitters
@@ -315,8 +1139,9 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
     lon: i.lon,
     duration: i.duration,
     startTime: i.startTime,
-    endTime: i.endTime
-  })))};
+    endTime: i.endTime,
+    zone: i.zone === null ? undefined : i.zone
+  }))).replace(/</g, '\\u003c')};
         
         idling.forEach(function(i) {
             var durationMin = Math.round(i.duration / 60);
@@ -325,7 +1150,7 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
             
             L.marker([i.lat, i.lon], {
                 icon: L.icon({
-                    iconUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjRkY4QzAwIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg==',
+                    iconUrl: '${MARKER_ICONS.idle}',
                     iconSize: [25, 41],
                     iconAnchor: [12, 41],
                     popupAnchor: [1, -34]
@@ -334,18 +1159,37 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
                 "<b>Idling Point</b><br>" +
                 "Duration: " + durationMin + " minutes<br>" +
                 "Start: " + startTime + "<br>" +
-                "End: " + endTime
+                "End: " + endTime +
+                (i.zone ? "<br>Zone: " + i.zone.replace(/</g, "&lt;") : "")
             );
         });
 
-        // Fit map to bounds if we have data
+${geofenceScript(geofences, zones)}${stopCircles.length > 0 ? `        // Orange Circles: Stop locations, area proportional to total dwell time
+        var stops = ${JSON.stringify(stopCircles)};
+        stops.forEach(function(s) {
+            L.circle([s.lat, s.lon], {
+                radius: s.radius,
+                color: 'darkorange',
+                fillColor: '#ff8c00',
+                fillOpacity: 0.25,
+                weight: 2
+            }).addTo(map).bindPopup(
+                "<b>Stop Location #" + s.id + "</b><br>" +
+                "Visits: " + s.visits + "<br>" +
+                "Total dwell: " + s.dwellMin + " minutes<br>" +
+                "First visit: " + new Date(s.firstVisit).toLocaleString() + "<br>" +
+                "Last visit: " + new Date(s.lastVisit).toLocaleString()
+            );
+        });
+
+` : ''}        // Fit map to bounds if we have data
         ${bounds ? `map.fitBounds(${JSON.stringify(bounds)}, { padding: [50, 50] });` : ''}
 
         // Add start and end markers
         if (cleanLine.length > 0) {
             L.marker(cleanLine[0], {
                 icon: L.icon({
-                    iconUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjMDBDODUxIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg==',
+                    iconUrl: '${MARKER_ICONS.start}',
                     iconSize: [25, 41],
                     iconAnchor: [12, 41]
                 })
@@ -353,43 +1197,632 @@ function generateMapHTML(original, clean, jitters, idling, statistics) {
             
             L.marker(cleanLine[cleanLine.length - 1], {
                 icon: L.icon({
-                    iconUrl: 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjUiIGhlaWdodD0iNDEiIHZpZXdCb3g9IjAgMCAyNSA0MSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cGF0aCBkPSJNMTIuNSAwQzUuNiAwIDAgNS42IDAgMTIuNWMwIDguOCAxMi41IDI4LjUgMTIuNSAyOC41UzI1IDIxLjMgMjUgMTIuNUMyNSA1LjYgMTkuNCAMCAxMi41IDB6IiBmaWxsPSIjREM0MzRDIi8+PGNpcmNsZSBjeD0iMTIuNSIgY3k9IjEyLjUiIHI9IjcuNSIgZmlsbD0iI0ZGRiIvPjwvc3ZnPg==',
+                    iconUrl: '${MARKER_ICONS.end}',
                     iconSize: [25, 41],
                     iconAnchor: [12, 41]
                 })
             }).addTo(map).bindPopup("<b>End Point</b>");
         }
+
+        // Playback: a marker moving along the clean path in time, driven by the timeline slider
+        var playback = null;
+        if (track.length > 1) {
+            playback = (function() {
+                var timeline = document.getElementById('timeline');
+                var button = document.getElementById('play');
+                var rate = document.getElementById('rate');
+                var clock = document.getElementById('clock');
+                var vehicle = L.circleMarker([track[0][0], track[0][1]], {
+                    color: 'black',
+                    fillColor: 'yellow',
+                    fillOpacity: 1,
+                    radius: 8,
+                    weight: 2
+                }).addTo(map);
+                var start = track[0][2];
+                var end = track[track.length - 1][2];
+                var current = start;
+                var index = 0;
+                var playing = false;
+                var lastFrame = null;
+
+                // Position between the fixes around time t, and the speed of that segment
+                function seek(t) {
+                    current = Math.min(end, Math.max(start, t));
+                    while (index > 0 && track[index][2] > current) index--;
+                    while (index < track.length - 2 && track[index + 1][2] <= current) index++;
+                    var a = track[index];
+                    var b = track[index + 1];
+                    var f = b[2] > a[2] ? Math.min(1, (current - a[2]) / (b[2] - a[2])) : 0;
+                    vehicle.setLatLng([a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f]);
+                    vehicle.bringToFront();
+                    timeline.value = current;
+                    clock.textContent = new Date(current).toLocaleString() + " - " + b[3] + " km/h";
+                }
+
+                function frame(now) {
+                    if (!playing) return;
+                    if (lastFrame !== null) seek(current + (now - lastFrame) * Number(rate.value));
+                    lastFrame = now;
+                    if (current >= end) pause();
+                    else requestAnimationFrame(frame);
+                }
+
+                function play() {
+                    if (current >= end) seek(start);
+                    playing = true;
+                    lastFrame = null;
+                    button.innerHTML = '&#10074;&#10074;';
+                    requestAnimationFrame(frame);
+                }
+
+                function pause() {
+                    playing = false;
+                    button.innerHTML = '&#9654;';
+                }
+
+                button.addEventListener('click', function() {
+                    if (playing) pause();
+                    else play();
+                });
+                timeline.addEventListener('input', function() {
+                    seek(Number(timeline.value));
+                });
+                L.DomEvent.disableClickPropagation(document.getElementById('playback'));
+                L.DomEvent.disableScrollPropagation(document.getElementById('playback'));
+                seek(start);
+                return { seek: seek };
+            })();
+        }
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Generate an interactive HTML map for processFleet results: one layer per
+ * vehicle (its trips, jitters, idling points and start/end pins in the
+ * vehicle's colour) that can be toggled from the layer control, and a fleet
+ * summary with one line per vehicle. `offline` works as for generateMapHTML;
+ * the SVG fallback draws every vehicle at once.
+ */
+function generateFleetMapHTML({ vehicles, fleet, options = {} }, { offline = null } = {}) {
+  const escapeHTML = (text) => text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  const layers = vehicles.map((vehicle, i) => ({
+    name: `Vehicle ${escapeHTML(vehicle.vehicleId)}`,
+    color: TRIP_COLORS[i % TRIP_COLORS.length],
+    trips: vehicle.trips.map(trip => ({
+      name: `Trip ${trip.id}`,
+      coords: trip.points.map(p => [p.lat, p.lon]),
+      distanceKm: +(trip.distanceMeters / 1000).toFixed(1),
+      averageSpeedKmh: Math.round(trip.averageSpeedKmh),
+      maxSpeedKmh: Math.round(trip.maxSpeedKmh)
+    })),
+    jitters: vehicle.jitters.map(p => [p.lat, p.lon]),
+    idling: vehicle.idlingPoints.map(p => ({
+      lat: p.lat,
+      lon: p.lon,
+      duration: p.duration,
+      startTime: p.startTime,
+      endTime: p.endTime
+    })),
+    start: vehicle.cleanPath.length > 0 ? [vehicle.cleanPath[0].lat, vehicle.cleanPath[0].lon] : null,
+    end: vehicle.cleanPath.length > 0
+      ? [vehicle.cleanPath[vehicle.cleanPath.length - 1].lat, vehicle.cleanPath[vehicle.cleanPath.length - 1].lon]
+      : null
+  }));
+
+  const allCoords = vehicles.flatMap(v => v.cleanPath.map(p => [p.lat, p.lon]));
+  const center = allCoords.length > 0 ? allCoords[0] : [19.0, 72.8];
+  const bounds = allCoords.length > 0 ? [
+    [Math.min(...allCoords.map(c => c[0])), Math.min(...allCoords.map(c => c[1]))],
+    [Math.max(...allCoords.map(c => c[0])), Math.max(...allCoords.map(c => c[1]))]
+  ] : null;
+
+  const svg = offline && !offline.tiles;
+  const legend = `    <div class="legend">
+        <h3 style="margin: 0 0 10px 0;">Legend</h3>
+        <div class="legend-item">
+            <div class="legend-color" style="background: red;"></div>
+            <span>Jitters (Noise)</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background: orange;"></div>
+            <span>Idling Points</span>
+        </div>
+        <div class="legend-item"><span>Route colour = vehicle${svg ? '' : ' (toggle above)'}</span></div>
+    </div>`;
+
+  const stats = `    <div class="stats">
+        <h3>Fleet Statistics</h3>
+        <div class="stats-item">Vehicles: ${fleet.vehicles}</div>
+        <div class="stats-item">Total Points: ${fleet.totalPoints}</div>
+        <div class="stats-item">Clean Points: ${fleet.cleanPoints}</div>
+        <div class="stats-item">Jitters Removed: ${fleet.jittersRemoved}</div>
+        <div class="stats-item">Idling Events: ${fleet.idlingEvents}</div>
+        <div class="stats-item">Trips: ${fleet.trips}, ${(fleet.distanceMeters / 1000).toFixed(1)} km</div>
+${vehicles.map((v, i) => `        <div class="stats-item stats-trip">
+            <div class="legend-color" style="background: ${layers[i].color};"></div>
+            <span>${layers[i].name}: ${(v.statistics.distanceMeters / 1000).toFixed(1)} km in ${v.statistics.trips} trip(s), ${Math.round(v.statistics.movingTimeSec / 60)} min moving, ${v.statistics.idlingEvents} idling, ${v.statistics.jittersRemoved} jitters</span>
+        </div>`).join('\n')}
+    </div>`;
+
+  if (svg) {
+    // SVG titles are plain text, escaped by svgMap
+    const names = vehicles.map(v => `Vehicle ${v.vehicleId}`);
+    return svgPage('GPS Fleet Analysis', '        .legend { top: auto; bottom: 10px; right: 10px; }\n', svgMap({
+      lines: layers.flatMap((v, k) => v.trips.map(t => ({
+        coords: t.coords, color: v.color, title: `${names[k]} - ${t.name}: ${t.distanceKm} km, avg ${t.averageSpeedKmh} / max ${t.maxSpeedKmh} km/h`
+      }))),
+      areas: svgGeofences(options.geofences || []),
+      dots: layers.flatMap((v, k) => v.jitters.map(j => ({ at: j, color: 'red', title: `Jitter (Noise), ${names[k]}: removed due to unrealistic speed` }))),
+      pins: layers.flatMap((v, k) => [
+        ...v.idling.map(i => ({
+          at: [i.lat, i.lon], color: '#FF8C00',
+          title: `Idling Point, ${names[k]}: ${Math.round(i.duration / 60)} minutes, ${isoTime(i.startTime)} - ${isoTime(i.endTime)}`
+        })),
+        ...(v.start ? [
+          { at: v.start, color: '#00C851', title: `Start Point, ${names[k]}` },
+          { at: v.end, color: '#DC434C', title: `End Point, ${names[k]}` }
+        ] : [])
+      ])
+    }), legend, stats);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+    <title>GPS Fleet Analysis</title>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+${leafletTags(offline)}
+    <style>
+${MAP_STYLE}        .legend { top: auto; bottom: 10px; right: 10px; }
+    </style>
+</head>
+<body>
+    <div id="map"></div>
+    
+${legend}
+    
+${stats}
+    
+    <script>
+        // Initialize map
+        var map = L.map('map').setView([${center[0]}, ${center[1]}], 13);
+        
+${tileLayerScript(offline)}
+        function pin(url) {
+            return L.icon({ iconUrl: url, iconSize: [25, 41], iconAnchor: [12, 41], popupAnchor: [1, -34] });
+        }
+        var icons = {
+            idle: pin('${MARKER_ICONS.idle}'),
+            start: pin('${MARKER_ICONS.start}'),
+            end: pin('${MARKER_ICONS.end}')
+        };
+
+        // One toggleable layer per vehicle
+        var vehicles = ${JSON.stringify(layers)};
+        var overlays = {};
+        vehicles.forEach(function(v) {
+            var layer = L.featureGroup().addTo(map);
+
+            v.trips.forEach(function(t) {
+                L.polyline(t.coords, { color: v.color, weight: 4, opacity: 0.7 }).addTo(layer).bindPopup(
+                    "<b>" + v.name + " - " + t.name + "</b><br>" +
+                    "Distance: " + t.distanceKm + " km<br>" +
+                    "Avg speed: " + t.averageSpeedKmh + " km/h, Max: " + t.maxSpeedKmh + " km/h"
+                );
+            });
+
+            v.jitters.forEach(function(j) {
+                L.circleMarker(j, {
+                    color: 'red',
+                    fillColor: '#ff0000',
+                    fillOpacity: 0.7,
+                    radius: 6,
+                    weight: 2
+                }).addTo(layer).bindPopup("<b>Jitter (Noise)</b><br>" + v.name + "<br>Removed due to unrealistic speed");
+            });
+
+            v.idling.forEach(function(i) {
+                L.marker([i.lat, i.lon], { icon: icons.idle }).addTo(layer).bindPopup(
+                    "<b>Idling Point</b><br>" + v.name + "<br>" +
+                    "Duration: " + Math.round(i.duration / 60) + " minutes<br>" +
+                    "Start: " + new Date(i.startTime).toLocaleTimeString() + "<br>" +
+                    "End: " + new Date(i.endTime).toLocaleTimeString()
+                );
+            });
+
+            if (v.start) {
+                L.marker(v.start, { icon: icons.start }).addTo(layer).bindPopup("<b>Start Point</b><br>" + v.name);
+                L.marker(v.end, { icon: icons.end }).addTo(layer).bindPopup("<b>End Point</b><br>" + v.name);
+            }
+
+            overlays['<span style="color: ' + v.color + '; font-weight: bold;">' + v.name + '</span>'] = layer;
+        });
+        L.control.layers(null, overlays, { collapsed: false }).addTo(map);
+
+${geofenceScript(options.geofences || [])}
+        // Fit map to bounds if we have data
+        ${bounds ? `map.fitBounds(${JSON.stringify(bounds)}, { padding: [50, 50] });` : ''}
     </script>
 </body>
 </html>`;
 }
 
 // --- Execution ---
-const main = () => {
+
+const USAGE = `Usage:
+  node solution.js [options] [input]
+
+Reads sample_input.json and writes output_map.html when no paths are given.
+The input may be JSON, GPX, KML, CSV or an NMEA log.
+
+Options:
+  -o, --output <file>       Map file to write
+  -e, --export <file>       Also write the result as .geojson, .gpx or .kml
+                            (repeatable)
+  -q, --quality <file>      Write a data-quality report (.json or .csv): a verdict
+                            per input point plus a summary (repeatable)
+      --offline             Self-contained map: Leaflet inlined, no network needed.
+                            Without --tiles the map is a static SVG drawing
+      --tiles <path>        Tile directory ({z}/{x}/{y}.png) or .mbtiles file to embed
+                            (implies --offline)
+      --max-tiles <n>       Most tiles to embed (default: ${DEFAULT_MAX_TILES})
+  -g, --geofences <file>    GeoJSON (or JSON zone list) of named polygon/circle zones;
+                            reports enter/exit events and dwell time per zone
+  -k, --vehicle-key <field> Process each vehicle separately, grouped by this field
+                            (default: detected from ${VEHICLE_KEYS.slice(0, 4).join(', ')}, ...;
+                            used when the input has more than one vehicle)
+  -f, --format <name>       Input format: ${FORMATS.join(', ')} (default: detected)
+      --columns <map>       CSV column mapping, e.g. lat=Breite,lon=Laenge,gpstime=Zeit
+      --out-of-order <mode> Points older than one before them: ${ORDER_MODES.join(', ')} (default: sort).
+                            reject drops them instead of processing them in time order
+      --smooth <mode>       Smoothing: ${SMOOTHING_MODES.join(', ')} (default: none).
+                            kalman/rts correct positions instead of dropping jitters
+      --gps-noise <m>       measurementNoiseM for the Kalman filter (default: ${DEFAULT_OPTIONS.measurementNoiseM})
+      --accel-noise <m/s2>  accelerationNoise for the Kalman filter (default: ${DEFAULT_OPTIONS.accelerationNoise})
+      --trip-gap <sec>      tripGapSec: a longer gap between fixes ends a trip (default: ${DEFAULT_OPTIONS.tripGapSec})
+      --trip-stop <sec>     tripStopSec: a longer stop ends a trip (default: ${DEFAULT_OPTIONS.tripStopSec})
+      --stop-radius <m>     stopClusterRadiusM: idling events this close are one stop location (default: ${DEFAULT_OPTIONS.stopClusterRadiusM})
+      --stop-merge <sec>    stopMergeGapSec: events at a location this close in time are one visit (default: ${DEFAULT_OPTIONS.stopMergeGapSec})
+  -p, --profile <name>      Vehicle profile: ${Object.keys(VEHICLE_PROFILES).join(', ')} (default: car)
+  -c, --config <file>       JSON file with any of: input, output, export and quality
+                            (a path or list of paths), format, columns (an object), vehicleKey,
+                            geofences (a path or inline GeoJSON), offline, tiles,
+                            maxTiles, profile and the threshold names below
+      --jitter-speed <kmh>  jitterSpeedThresholdKmh (default: ${DEFAULT_OPTIONS.jitterSpeedThresholdKmh})
+      --idle-speed <kmh>    idlingSpeedThresholdKmh (default: ${DEFAULT_OPTIONS.idlingSpeedThresholdKmh})
+      --idle-time <sec>     idlingTimeThresholdSec (default: ${DEFAULT_OPTIONS.idlingTimeThresholdSec})
+      --window <n>          windowSize (default: ${DEFAULT_OPTIONS.windowSize})
+  -h, --help                Show this help
+
+Command-line flags win over the config file, which wins over the profile.`;
+
+// Malformed input records listed on the console; the rest are only counted
+const MAX_REPORTED_ERRORS = 10;
+
+const THRESHOLD_FLAGS = {
+  '--jitter-speed': 'jitterSpeedThresholdKmh',
+  '--idle-speed': 'idlingSpeedThresholdKmh',
+  '--idle-time': 'idlingTimeThresholdSec',
+  '--window': 'windowSize',
+  '--gps-noise': 'measurementNoiseM',
+  '--accel-noise': 'accelerationNoise',
+  '--trip-gap': 'tripGapSec',
+  '--trip-stop': 'tripStopSec',
+  '--stop-radius': 'stopClusterRadiusM',
+  '--stop-merge': 'stopMergeGapSec'
+};
+
+/**
+ * Parse a --columns value ("lat=Breite,lon=Laenge") into a column mapping
+ */
+function parseColumns(spec) {
+  const columns = {};
+  spec.split(',').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`--columns expects field=column pairs, got ${pair}`);
+    }
+    columns[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return columns;
+}
+
+/**
+ * Parse command-line arguments into
+ * { input, output, exports, quality, format, columns, vehicleKey, offline, tiles,
+ *   maxTiles, config, options, help }
+ */
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    output: null,
+    exports: [],
+    quality: [],
+    format: null,
+    columns: null,
+    vehicleKey: null,
+    offline: false,
+    tiles: null,
+    maxTiles: null,
+    config: null,
+    options: {},
+    help: false
+  };
+  const value = (i) => {
+    if (argv[i + 1] === undefined) {
+      throw new Error(`Missing value for ${argv[i]}\n\n${USAGE}`);
+    }
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-o' || arg === '--output') {
+      args.output = value(i++);
+    } else if (arg === '-e' || arg === '--export') {
+      args.exports.push(value(i++));
+    } else if (arg === '-q' || arg === '--quality') {
+      args.quality.push(value(i++));
+    } else if (arg === '--offline') {
+      args.offline = true;
+    } else if (arg === '--tiles') {
+      args.tiles = value(i++);
+    } else if (arg === '--max-tiles') {
+      args.maxTiles = Number(value(i++));
+      if (!Number.isInteger(args.maxTiles) || args.maxTiles <= 0) {
+        throw new Error(`--max-tiles expects a positive whole number, got ${argv[i]}`);
+      }
+    } else if (arg === '-g' || arg === '--geofences') {
+      args.options.geofences = readGeofences(value(i++));
+    } else if (arg === '-k' || arg === '--vehicle-key') {
+      args.vehicleKey = value(i++);
+    } else if (arg === '-f' || arg === '--format') {
+      args.format = value(i++);
+    } else if (arg === '--columns') {
+      args.columns = parseColumns(value(i++));
+    } else if (arg === '--smooth') {
+      args.options.smoothing = value(i++);
+    } else if (arg === '--out-of-order') {
+      args.options.outOfOrder = value(i++);
+    } else if (arg === '-p' || arg === '--profile') {
+      args.options.profile = value(i++);
+    } else if (arg === '-c' || arg === '--config') {
+      args.config = value(i++);
+    } else if (THRESHOLD_FLAGS[arg]) {
+      const number = Number(value(i));
+      if (Number.isNaN(number)) {
+        throw new Error(`${arg} expects a number, got ${argv[i + 1]}`);
+      }
+      args.options[THRESHOLD_FLAGS[arg]] = number;
+      i++;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}\n\n${USAGE}`);
+    } else if (args.input === null) {
+      args.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}\n\n${USAGE}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Read a geofence file (GeoJSON or a JSON zone list)
+ */
+function readGeofences(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read geofence file ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Read a JSON config file. Its input, output, export, quality, geofence and
+ * tile paths are relative to the config file; format and columns select the importer,
+ * vehicleKey turns on fleet mode, offline/tiles/maxTiles configure the map,
+ * and everything else is passed on as processing options.
+ */
+function loadConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${configPath}: ${err.message}`);
+  }
+
+  const {
+    input, output, export: exports, quality, format, columns, vehicleKey, offline, tiles, maxTiles, ...options
+  } = config;
+  const baseDir = path.dirname(path.resolve(configPath));
+  if (typeof options.geofences === 'string') {
+    options.geofences = readGeofences(path.resolve(baseDir, options.geofences));
+  }
+  return {
+    input: input ? path.resolve(baseDir, input) : null,
+    output: output ? path.resolve(baseDir, output) : null,
+    exports: [].concat(exports || []).map(file => path.resolve(baseDir, file)),
+    quality: [].concat(quality || []).map(file => path.resolve(baseDir, file)),
+    format: format || null,
+    columns: columns || null,
+    vehicleKey: vehicleKey || null,
+    offline: Boolean(offline),
+    tiles: tiles ? path.resolve(baseDir, tiles) : null,
+    maxTiles: maxTiles || null,
+    options
+  };
+}
+
+/**
+ * Offline map assets for the points a map covers, or null for an online map
+ */
+async function offlineMap(points, { offline, tiles, maxTiles }) {
+  if (!offline && !tiles) return null;
+  const prepared = await prepareOfflineMap(points, { tiles, maxTiles: maxTiles || undefined });
+  if (prepared.tiles) {
+    const count = Object.keys(prepared.tiles.images).length;
+    console.log(`Embedding ${count} tiles (zoom ${prepared.tiles.minZoom}-${prepared.tiles.maxZoom}) and Leaflet for offline use`);
+  } else {
+    console.log(tiles
+      ? `${tiles} has no tiles for this track within the ${maxTiles || DEFAULT_MAX_TILES}-tile limit; drawing an SVG map instead`
+      : 'No tiles given; drawing an SVG map');
+  }
+  return prepared;
+}
+
+/**
+ * Write the data-quality report of `result` to each of `paths`, covering the
+ * records the importer skipped too. Returns the lines to print.
+ */
+function writeQuality(result, paths, importErrors) {
+  if (paths.length === 0) return [];
+  const report = qualityReport(result, { importErrors });
+  const counts = Object.entries(report.summary.counts)
+    .filter(([, count]) => count > 0)
+    .map(([verdict, count]) => `${count} ${verdict}`);
+  return [
+    ...paths.map(file => `Quality report: ${file} (${writeQualityReport(report, file)})`),
+    `  ${report.summary.records} records: ${counts.join(', ')} (${report.summary.rejectedPercent}% rejected)`
+  ];
+}
+
+/**
+ * Fleet mode of main: process each vehicle, write the fleet map, one export
+ * per vehicle and file (named <file>-<vehicle>.<ext>) and one quality report
+ * for the whole fleet
+ */
+async function runFleet(rawData, options, outputPath, exportPaths, mapSettings, { qualityPaths = [], importErrors = [] } = {}) {
+  console.log(`Processing GPS data per vehicle (by ${options.vehicleKey})...`);
+  const result = processFleet(rawData, options);
+  console.log("Generating map visualization...");
+  const offline = await offlineMap(result.vehicles.flatMap(v => v.cleanPath), mapSettings);
+  fs.writeFileSync(outputPath, generateFleetMapHTML(result, { offline }));
+
+  const exported = [];
+  exportPaths.forEach(file => {
+    const extension = path.extname(file);
+    result.vehicles.forEach(vehicle => {
+      const safeId = vehicle.vehicleId.replace(/[^\w.-]+/g, '_');
+      const vehicleFile = `${file.slice(0, file.length - extension.length)}-${safeId}${extension}`;
+      exported.push(`${vehicleFile} (${exportFile(vehicle, vehicleFile)})`);
+    });
+  });
+  const quality = writeQuality(result, qualityPaths, importErrors);
+
+  const { fleet } = result;
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('GPS FLEET PROCESSING COMPLETE');
+  console.log('='.repeat(50));
+  result.vehicles.forEach(({ vehicleId, statistics }) => {
+    console.log(`Vehicle ${vehicleId}: ${statistics.cleanPoints}/${statistics.totalPoints} clean points, ` +
+      `${statistics.jittersRemoved} jitters, ${statistics.idlingEvents} idling events, ` +
+      `${statistics.trips} trip(s), ${(statistics.distanceMeters / 1000).toFixed(1)} km`);
+  });
+  console.log('-'.repeat(50));
+  console.log(`Vehicles:             ${fleet.vehicles}`);
+  console.log(`Total Points:         ${fleet.totalPoints}`);
+  console.log(`Clean Points:         ${fleet.cleanPoints}`);
+  console.log(`Jitters Removed:      ${fleet.jittersRemoved}`);
+  console.log(`Idling Events:        ${fleet.idlingEvents}`);
+  console.log(`Duplicate Timestamps: ${fleet.duplicateTimestamps}`);
+  if (fleet.invalidPoints > 0) console.log(`Invalid Points:       ${fleet.invalidPoints}`);
+  if (fleet.outOfOrderPoints > 0) console.log(`Out of Order:         ${fleet.outOfOrderPoints}`);
+  console.log(`Trips:                ${fleet.trips}`);
+  console.log(`Distance:             ${(fleet.distanceMeters / 1000).toFixed(1)} km`);
+  console.log(`Moving / Idle Time:   ${Math.round(fleet.movingTimeSec / 60)} / ${Math.round(fleet.idleTimeSec / 60)} min`);
+  console.log('='.repeat(50));
+  console.log(`\nMap generated: ${outputPath}`);
+  exported.forEach(file => console.log(`Exported: ${file}`));
+  quality.forEach(line => console.log(line));
+  console.log(offline && !offline.tiles
+    ? '\nOpen the HTML file in your browser; hover over a feature for its details.'
+    : '\nOpen the HTML file in your browser; use the layer control to toggle vehicles.');
+}
+
+const main = async () => {
   try {
-    const inputPath = path.join(__dirname, 'sample_input.json');
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+      return;
+    }
+
+    const config = args.config ? loadConfig(args.config) : {
+      input: null, output: null, exports: [], quality: [], format: null, columns: null, vehicleKey: null,
+      offline: false, tiles: null, maxTiles: null, options: {}
+    };
+    const options = { ...config.options, ...args.options };
+    const inputPath = args.input || config.input || path.join(__dirname, 'sample_input.json');
+    const outputPath = args.output || config.output || path.join(__dirname, 'output_map.html');
+    const mapSettings = {
+      offline: args.offline || config.offline,
+      tiles: args.tiles || config.tiles,
+      maxTiles: args.maxTiles || config.maxTiles
+    };
 
     if (!fs.existsSync(inputPath)) {
-      throw new Error("sample_input.json not found. Please ensure the file exists in this directory.");
+      throw new Error(`${inputPath} not found. Please ensure the file exists.`);
     }
 
     console.log("Reading GPS data...");
-    const rawData = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    const imported = importFile(inputPath, {
+      format: args.format || config.format || undefined,
+      columns: args.columns || config.columns || undefined
+    });
+    const rawData = imported.points;
+    console.log(`Imported ${rawData.length} points (${imported.format}), skipped ${imported.errors.length} malformed records`);
+    imported.errors.slice(0, MAX_REPORTED_ERRORS).forEach(({ line, record, message }) => {
+      console.log(`  ${line !== undefined ? `line ${line}` : `record ${record}`}: ${message}`);
+    });
+    if (imported.errors.length > MAX_REPORTED_ERRORS) {
+      console.log(`  ...and ${imported.errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+
+    const exportPaths = args.exports.length > 0 ? args.exports : config.exports;
+    const qualityPaths = args.quality.length > 0 ? args.quality : config.quality;
+    const vehicleKey = args.vehicleKey || config.vehicleKey || detectVehicleKey(rawData);
+    const isFleet = vehicleKey !== null &&
+      (args.vehicleKey || config.vehicleKey || new Set(rawData.map(p => p[vehicleKey])).size > 1);
+    if (isFleet) {
+      await runFleet(rawData, { ...options, vehicleKey }, outputPath, exportPaths, mapSettings, {
+        qualityPaths,
+        importErrors: imported.errors
+      });
+      return;
+    }
 
     console.log("Processing GPS data...");
-    const result = processGPSData(rawData);
+    const result = processGPSData(rawData, options);
     console.log("Generating map visualization...");
+    const offline = await offlineMap(result.cleanPath, mapSettings);
     const htmlContent = generateMapHTML(
       rawData,
       result.cleanPath,
       result.jitters,
       result.idlingPoints,
-      result.statistics
+      result.statistics,
+      {
+        showRaw: result.options.smoothing !== 'none',
+        trips: result.trips,
+        stopClusters: result.stopClusters,
+        geofences: result.options.geofences,
+        zones: result.zones,
+        offline
+      }
     );
 
-    const outputPath = path.join(__dirname, 'output_map.html');
     fs.writeFileSync(outputPath, htmlContent);
 
+    const exported = exportPaths.map(file => `${file} (${exportFile(result, file)})`);
+    const quality = writeQuality(result, qualityPaths, imported.errors);
+
     console.log(`\n${'='.repeat(50)}`);
     console.log('GPS DATA PROCESSING COMPLETE');
     console.log('='.repeat(50));
@@ -398,13 +1831,62 @@ const main = () => {
     console.log(`Jitters Removed:      ${result.statistics.jittersRemoved}`);
     console.log(`Idling Events:        ${result.statistics.idlingEvents}`);
     console.log(`Duplicate Timestamps: ${result.statistics.duplicateTimestamps}`);
+    if (result.statistics.invalidPoints > 0) console.log(`Invalid Points:       ${result.statistics.invalidPoints}`);
+    if (result.statistics.outOfOrderPoints > 0) console.log(`Out of Order:         ${result.statistics.outOfOrderPoints}`);
+    console.log(`Stop Locations:       ${result.statistics.stopLocations}`);
+    result.stopClusters.forEach(stop => {
+      console.log(`  Stop ${stop.id}: ${stop.lat.toFixed(5)}, ${stop.lon.toFixed(5)} - ${stop.visits} visit(s), ` +
+        `${Math.round(stop.totalDwellSec / 60)} min total, first ${stop.firstVisit.toISOString()}, ` +
+        `last ${stop.lastVisit.toISOString()}`);
+    });
+    if (result.zones.length > 0) {
+      console.log(`Geofence Events:      ${result.statistics.geofenceEvents}`);
+      result.geofenceEvents.forEach(event => {
+        console.log(`  ${event.time.toISOString()} ${event.type === 'enter' ? 'entered' : 'left   '} ${event.zone}`);
+      });
+      result.zones.forEach(zone => {
+        console.log(`  Zone ${zone.name}: ${zone.visits} visit(s), ${Math.round(zone.dwellSec / 60)} min dwell, ` +
+          `${zone.idlingEvents} idling event(s)`);
+      });
+    }
+    console.log(`Trips:                ${result.statistics.trips}`);
+    result.trips.forEach(trip => {
+      console.log(`  Trip ${trip.id}: ${trip.startTime.toISOString()} - ${trip.endTime.toISOString()}, ` +
+        `${(trip.distanceMeters / 1000).toFixed(1)} km, ${Math.round(trip.movingTimeSec / 60)} min moving, ` +
+        `${Math.round(trip.idleTimeSec / 60)} min idle, avg ${trip.averageSpeedKmh.toFixed(1)} km/h, ` +
+        `max ${trip.maxSpeedKmh.toFixed(1)} km/h`);
+    });
+    console.log(`Thresholds:           jitter > ${result.options.jitterSpeedThresholdKmh} km/h, ` +
+      `idle < ${result.options.idlingSpeedThresholdKmh} km/h for ${result.options.idlingTimeThresholdSec}s, ` +
+      `window ${result.options.windowSize}`);
+    if (result.options.smoothing !== 'none') {
+      const meanUncertainty = result.cleanPath.reduce((sum, p) => sum + p.uncertainty, 0) / (result.cleanPath.length || 1);
+      console.log(`Smoothing:            ${result.options.smoothing} (mean uncertainty ${meanUncertainty.toFixed(1)} m)`);
+    }
     console.log('='.repeat(50));
     console.log(`\nMap generated: ${outputPath}`);
-    console.log('\nOpen the HTML file in your browser to view the interactive map.');
+    exported.forEach(file => console.log(`Exported: ${file}`));
+    quality.forEach(line => console.log(line));
+    console.log(offline && !offline.tiles
+      ? '\nOpen the HTML file in your browser; hover over a feature for its details.'
+      : '\nOpen the HTML file in your browser to view the interactive map.');
     console.log('\nMap Legend:');
-    console.log('  🔵 Blue line    = Clean GPS route');
+    if (!offline || offline.tiles) {
+      console.log('  🌈 Route colour = Speed between fixes (blue slow ... red fast), dotted between trips');
+      console.log('  ⚪ White dots   = GPS points; click for time and speed');
+      console.log('  🟡 Yellow dot   = Playback position (timeline slider at the bottom)');
+    }
+    console.log(`  🔵 Trip lines   = ${result.options.smoothing !== 'none' ? 'Smoothed' : 'Clean'} GPS route, one colour per trip` +
+      `${!offline || offline.tiles ? ' (toggle "Trips" in the layer control)' : ''}`);
+    if (result.options.smoothing !== 'none') {
+      console.log('  ⚪ Grey dashes  = Raw GPS fixes');
+    }
     console.log('  🔴 Red circles  = Jitters (removed noise)');
     console.log('  🟠 Orange pins  = Idling points');
+    console.log('  🟠 Orange rings = Stop locations, sized by total dwell time');
+    if (result.zones.length > 0) {
+      console.log('  🟣 Purple lines = Geofences');
+    }
     console.log('  🟢 Green pin    = Start point');
     console.log('  🔴 Red pin      = End point');
 
@@ -413,4 +1895,23 @@ const main = () => {
     process.exit(1);
   }
 };
-main();
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  VEHICLE_PROFILES,
+  resolveOptions,
+  calculateSpeed,
+  isJitter,
+  GPSProcessor,
+  summarizeTrip,
+  segmentTrips,
+  processGPSData,
+  detectVehicleKey,
+  processFleet,
+  generateMapHTML,
+  generateFleetMapHTML
+};
+
+if (require.main === module) {
+  main();
+}
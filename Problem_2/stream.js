@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Problem 2 (extension): Streaming GPS processing
+ *
+ * For live device feeds and files too large to load at once.
+ *
+ * Approach:
+ * 1. readPoints parses a JSON array or NDJSON (one object per line) from a
+ *    readable stream, holding only the record being read in memory.
+ * 2. ReorderingProcessor holds the newest `bufferSize` points in time order,
+ *    so fixes that arrive a little out of order are processed in order.
+ *    Points older than what was already released are reported as 'late'.
+ * 3. Released points go through GPSProcessor, the same jitter and idling
+ *    detection processGPSData uses, so the results match batch mode as long
+ *    as no point arrives more than `bufferSize` places late.
+ */
+
+const fs = require('fs');
+const { GPSProcessor, VEHICLE_PROFILES } = require('./solution');
+const { checkPoint } = require('./importers');
+const { UNREADABLE } = require('./quality');
+
+const DEFAULT_BUFFER_SIZE = 64;
+const MAX_RECORD_LENGTH = 1024 * 1024; // Characters; longer records are not GPS points
+
+const time = (point) => new Date(point.gpstime).getTime();
+
+/**
+ * Read records from a stream of JSON text: either one array of objects or
+ * NDJSON. Yields { record, value } per record (1-based), or { record, error }
+ * when a record is not valid JSON.
+ */
+async function* readPoints(input) {
+  let mode = null; // 'array' or 'ndjson', from the first character
+  let pending = '';
+  let record = 0;
+
+  // JSON array scanner state, kept across chunks
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let start = -1;
+  let position = 0;
+
+  const parse = (text) => {
+    record++;
+    try {
+      return { record, value: JSON.parse(text) };
+    } catch (err) {
+      return { record, error: `Invalid JSON: ${err.message}` };
+    }
+  };
+
+  for await (const chunk of input) {
+    pending += chunk;
+
+    if (mode === null) {
+      const first = pending.trimStart()[0];
+      if (first === undefined) continue;
+      mode = first === '[' ? 'array' : 'ndjson';
+    }
+
+    if (mode === 'ndjson') {
+      const lines = pending.split(/\r?\n/);
+      pending = lines.pop();
+      for (const line of lines) {
+        if (line.trim() !== '') yield parse(line);
+      }
+      if (pending.length > MAX_RECORD_LENGTH) {
+        throw new Error(`Record ${record + 1} is longer than ${MAX_RECORD_LENGTH} characters`);
+      }
+      continue;
+    }
+
+    const found = [];
+    for (; position < pending.length; position++) {
+      const char = pending[position];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (depth === 0) {
+        if (char === '[') depth = 1;
+        else if (!/\s/.test(char)) throw new Error(`Unexpected "${char}" after the end of the JSON array`);
+      } else if (depth === 1 && (char === ',' || char === ']')) {
+        // End of a primitive element (objects end at their closing brace)
+        if (start !== -1) found.push(pending.slice(start, position));
+        start = -1;
+        if (char === ']') depth = 0;
+      } else if (depth === 1 && /\s/.test(char)) {
+        continue;
+      } else {
+        if (depth === 1 && start === -1) start = position;
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 1) {
+            found.push(pending.slice(start, position + 1));
+            start = -1;
+          }
+        }
+      }
+    }
+
+    // Keep only the unfinished record
+    const keepFrom = start === -1 ? pending.length : start;
+    pending = pending.slice(keepFrom);
+    position -= keepFrom;
+    if (start !== -1) start = 0;
+    if (pending.length > MAX_RECORD_LENGTH) {
+      throw new Error(`Record ${record + found.length + 1} is longer than ${MAX_RECORD_LENGTH} characters`);
+    }
+
+    for (const text of found) yield parse(text);
+  }
+
+  if (mode === 'ndjson' && pending.trim() !== '') {
+    yield parse(pending);
+  } else if (mode === 'array' && (depth !== 0 || inString)) {
+    throw new Error('Unexpected end of input inside the JSON array');
+  }
+}
+
+/**
+ * GPSProcessor behind a bounded reorder buffer. Emits everything
+ * GPSProcessor does, plus 'late' (point) for a point older than one already
+ * processed; late points are dropped.
+ */
+class ReorderingProcessor extends GPSProcessor {
+  constructor(options = {}, { bufferSize = DEFAULT_BUFFER_SIZE, ...processorOptions } = {}) {
+    super(options, processorOptions);
+    if (!Number.isInteger(bufferSize) || bufferSize < 0) {
+      throw new Error(`bufferSize must be a whole number, got ${bufferSize}`);
+    }
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.released = -Infinity; // Time of the newest point handed on
+  }
+
+  push(point) {
+    const t = time(point);
+    if (t < this.released) {
+      this.emit('late', point);
+      return 'late';
+    }
+
+    // Insert after points with the same time, as a stable sort would
+    let low = 0;
+    let high = this.buffer.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (time(this.buffer[middle]) <= t) low = middle + 1;
+      else high = middle;
+    }
+    this.buffer.splice(low, 0, point);
+
+    if (this.buffer.length > this.bufferSize) this.release(this.buffer.shift());
+    return 'buffered';
+  }
+
+  flush() {
+    this.buffer.splice(0).forEach(point => this.release(point));
+    super.flush();
+  }
+
+  release(point) {
+    this.released = time(point);
+    super.push(point);
+  }
+}
+
+/**
+ * Feed a stream of JSON/NDJSON points into `processor` and flush it when the
+ * stream ends. Records that are not usable points are emitted as 'invalid'
+ * ({ record, message, verdict }, verdict as in processGPSData's verdicts, or
+ * 'unreadable' for invalid JSON). Resolves to { records, invalid }.
+ */
+async function processStream(input, processor) {
+  let records = 0;
+  let invalid = 0;
+
+  for await (const { record, value, error } of readPoints(input)) {
+    records++;
+    const problem = error ? { verdict: UNREADABLE, message: error } : checkPoint(value);
+    if (problem) {
+      invalid++;
+      processor.emit('invalid', { record, message: problem.message, verdict: problem.verdict });
+    } else {
+      processor.push(value);
+    }
+  }
+  processor.flush();
+
+  return { records, invalid };
+}
+
+// --- Execution ---
+
+const USAGE = `Usage:
+  node stream.js [options] [file]
+
+Reads a JSON array or NDJSON of GPS points from the file, or from stdin when
+no file (or "-") is given, and prints one JSON event per line as it happens.
+
+Options:
+  -b, --buffer <n>       Reorder buffer size in points (default: ${DEFAULT_BUFFER_SIZE})
+  -p, --profile <name>   Vehicle profile: ${Object.keys(VEHICLE_PROFILES).join(', ')}
+  -q, --quiet            Only print idle-start, idle-end and the summary
+  -h, --help             Show this help`;
+
+const main = async () => {
+  let file = null;
+  let bufferSize = DEFAULT_BUFFER_SIZE;
+  let profile;
+  let quiet = false;
+
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-b' || arg === '--buffer') {
+      bufferSize = Number(argv[++i]);
+    } else if (arg === '-p' || arg === '--profile') {
+      profile = argv[++i];
+    } else if (arg === '-q' || arg === '--quiet') {
+      quiet = true;
+    } else if (arg === '-h' || arg === '--help') {
+      console.log(USAGE);
+      return;
+    } else if (file === null && (arg === '-' || !arg.startsWith('-'))) {
+      file = arg;
+    } else {
+      console.error(`ERROR: Unexpected argument: ${arg}\n\n${USAGE}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const processor = new ReorderingProcessor({ profile }, { bufferSize });
+    const counts = { 'clean-point': 0, jitter: 0, duplicate: 0, late: 0, 'idle-start': 0, 'idle-end': 0, invalid: 0 };
+    Object.keys(counts).forEach(type => {
+      processor.on(type, data => {
+        counts[type]++;
+        if (!quiet || type === 'idle-start' || type === 'idle-end') {
+          console.log(JSON.stringify({ event: type, data }));
+        }
+      });
+    });
+
+    const input = file === null || file === '-'
+      ? process.stdin.setEncoding('utf8')
+      : fs.createReadStream(file, { encoding: 'utf8' });
+    const { records } = await processStream(input, processor);
+
+    console.error(`Records: ${records}, clean: ${counts['clean-point']}, jitters: ${counts.jitter}, ` +
+      `duplicates: ${counts.duplicate}, late: ${counts.late}, invalid: ${counts.invalid}, ` +
+      `idling events: ${counts['idle-end']}`);
+  } catch (err) {
+    console.error("ERROR:", err.message);
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  DEFAULT_BUFFER_SIZE,
+  readPoints,
+  ReorderingProcessor,
+  processStream
+};
+
+if (require.main === module) {
+  main();
+}
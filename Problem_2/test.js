@@ -0,0 +1,682 @@
+/**
+ * Problem 2: Checks for the GPS processing modules
+ *
+ * Run with `npm test` (or `node test.js`); exits with code 1 if any check
+ * fails.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Readable } = require('stream');
+const {
+  DEFAULT_OPTIONS, VEHICLE_PROFILES, resolveOptions, calculateSpeed, segmentTrips, processGPSData,
+  processFleet, generateMapHTML, generateFleetMapHTML
+} = require('./solution');
+const { importTrack } = require('./importers');
+const { exportResult, exportFile } = require('./exporters');
+const { kalmanSmooth } = require('./kalman');
+const { NOISE, dbscan, clusterStops } = require('./clustering');
+const { loadGeofences, isInside, trackGeofences } = require('./geofence');
+const { ReorderingProcessor, processStream } = require('./stream');
+const { project, prepareOfflineMap, svgMap } = require('./offline');
+const { qualityReport, writeQualityReport } = require('./quality');
+
+const sample = require('./sample_input.json');
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+// Scratch directory for files the checks write; removed at the end
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'gps-test-'));
+const scratchFile = (name, content) => {
+  const filePath = path.join(scratch, name);
+  if (content !== undefined) fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+// --- Options, vehicle profiles and config files ---
+
+check('resolveOptions() returns the defaults', () => {
+  assert.deepStrictEqual(resolveOptions(), { ...DEFAULT_OPTIONS, geofences: [] });
+});
+
+check('a profile applies its thresholds; explicit options win', () => {
+  const truck = resolveOptions({ profile: 'truck' });
+  assert.strictEqual(truck.jitterSpeedThresholdKmh, VEHICLE_PROFILES.truck.jitterSpeedThresholdKmh);
+  assert.strictEqual(truck.idlingTimeThresholdSec, VEHICLE_PROFILES.truck.idlingTimeThresholdSec);
+  assert.strictEqual(truck.windowSize, DEFAULT_OPTIONS.windowSize);
+  assert.strictEqual(resolveOptions({ profile: 'truck', jitterSpeedThresholdKmh: 90 }).jitterSpeedThresholdKmh, 90);
+});
+
+check('unknown profiles and options are rejected', () => {
+  assert.throws(() => resolveOptions({ profile: 'boat' }), /Unknown vehicle profile: boat/);
+  assert.throws(() => resolveOptions({ jitterSpeed: 100 }), /Unknown option: jitterSpeed/);
+});
+
+check('invalid option values are rejected', () => {
+  assert.throws(() => resolveOptions({ jitterSpeedThresholdKmh: 0 }), /must be a positive number/);
+  assert.throws(() => resolveOptions({ idlingTimeThresholdSec: '120' }), /must be a positive number/);
+  assert.throws(() => resolveOptions({ windowSize: 2.5 }), /whole number/);
+  assert.throws(() => resolveOptions({ smoothing: 'spline' }), /smoothing must be one of/);
+  assert.throws(() => resolveOptions({ outOfOrder: 'ignore' }), /outOfOrder must be one of/);
+});
+
+check("the truck profile's lower speed limit rejects a fix the car profile keeps", () => {
+  assert.strictEqual(processGPSData(sample).statistics.jittersRemoved, 0);
+  assert.strictEqual(processGPSData(sample, { profile: 'truck' }).statistics.jittersRemoved, 1);
+});
+
+check('a config file sets the profile and paths relative to itself', () => {
+  fs.mkdirSync(path.join(scratch, 'config'));
+  fs.copyFileSync(path.join(__dirname, 'sample_input.json'), scratchFile('config/track.json'));
+  const configPath = scratchFile('config/run.json', JSON.stringify({
+    input: 'track.json', output: 'map.html', export: 'track.gpx', profile: 'truck'
+  }));
+  const log = execFileSync(process.execPath, [path.join(__dirname, 'solution.js'), '-c', configPath], { encoding: 'utf8' });
+  assert.match(log, /Jitters Removed: +1\n/);
+  assert.ok(fs.existsSync(scratchFile('config/map.html')));
+  assert.ok(fs.existsSync(scratchFile('config/track.gpx')));
+});
+
+// --- Importers ---
+
+// An NMEA sentence with its checksum
+const nmea = (body) => {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) checksum ^= body.charCodeAt(i);
+  return `$${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+};
+
+check('GPX track points are imported and bad ones reported by line', () => {
+  const { format, points, errors } = importTrack([
+    '<?xml version="1.0"?>',
+    '<gpx version="1.1"><trk><trkseg>',
+    '  <trkpt lat="19.1" lon="72.9"><time>2025-11-13T05:00:00Z</time></trkpt>',
+    '  <trkpt lat="95" lon="72.9"><time>2025-11-13T05:00:10Z</time></trkpt>',
+    '  <trkpt lat="19.2" lon="72.9"><time>yesterday</time></trkpt>',
+    '</trkseg></trk></gpx>'
+  ].join('\n'), { filename: 'ride.gpx' });
+  assert.strictEqual(format, 'gpx');
+  assert.deepStrictEqual(points, [{ gpstime: '2025-11-13T05:00:00.000Z', lat: 19.1, lon: 72.9 }]);
+  assert.deepStrictEqual(errors.map(e => [e.line, e.verdict]), [[4, 'invalid-coordinate'], [5, 'invalid-time']]);
+});
+
+check('KML tracks and timestamped Placemarks are imported', () => {
+  const { format, points, errors } = importTrack([
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2"><Document>',
+    '<Placemark><gx:Track>',
+    '  <when>2025-11-13T05:00:00Z</when><when>2025-11-13T05:00:10Z</when>',
+    '  <gx:coord>72.9 19.1 0</gx:coord>',
+    '  <gx:coord>72.9 95 0</gx:coord>',
+    '</gx:Track></Placemark>',
+    '<Placemark><name>p3</name><TimeStamp><when>2025-11-13T05:00:20Z</when></TimeStamp>',
+    '  <Point><coordinates>72.91,19.11</coordinates></Point></Placemark>',
+    '</Document></kml>'
+  ].join('\n'));
+  assert.strictEqual(format, 'kml');
+  assert.deepStrictEqual(points.map(p => [p.lat, p.lon, p.id]), [[19.1, 72.9, undefined], [19.11, 72.91, 'p3']]);
+  assert.deepStrictEqual(errors.map(e => e.line), [5]);
+});
+
+check('CSV columns are found by alias, and a ";" file may use decimal commas', () => {
+  const comma = importTrack('Time,Latitude,Longitude,IMEI\n2025-11-13T05:00:00Z,19.1,72.9,A1\n2025-11-13T05:00:10Z,19.1\n');
+  assert.deepStrictEqual(comma.points, [{ gpstime: '2025-11-13T05:00:00.000Z', lat: 19.1, lon: 72.9, vehicle: 'A1' }]);
+  assert.deepStrictEqual(comma.errors, [{ line: 3, message: 'Expected 4 fields, got 2' }]);
+
+  const semicolon = importTrack('Zeit;Breite;Laenge\n2025-11-13T05:00:00Z;19,1;-72,9\n2025-11-13T05:00:10Z;19.2;72.9\n', {
+    format: 'csv', columns: { gpstime: 'Zeit', lat: 'Breite', lon: 'Laenge' }
+  });
+  assert.deepStrictEqual(semicolon.points.map(p => [p.lat, p.lon]), [[19.1, -72.9], [19.2, 72.9]]);
+  assert.deepStrictEqual(semicolon.errors, []);
+});
+
+check('NMEA RMC dates before 2000 keep their century; GGA takes the RMC date', () => {
+  const { format, points, errors } = importTrack([
+    nmea('GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W'),
+    nmea('GPGGA,123529,4807.040,N,01131.010,E,1,08,0.9,545.4,M,46.9,M,,'),
+    nmea('GPRMC,000000,A,4807.038,N,01131.000,E,0,0,010125,,'),
+    '$GPGGA,123539,4807.040,N,01131.010,E,1,08,0.9,545.4,M,46.9,M,,*00'
+  ].join('\n'));
+  assert.strictEqual(format, 'nmea');
+  assert.deepStrictEqual(points.map(p => p.gpstime), [
+    '1994-03-23T12:35:19.000Z', '1994-03-23T12:35:29.000Z', '2025-01-01T00:00:00.000Z'
+  ]);
+  assert.ok(Math.abs(points[0].lat - (48 + 7.038 / 60)) < 1e-9);
+  assert.deepStrictEqual(errors, [{ line: 4, message: 'Checksum mismatch' }]);
+});
+
+check('digit-only times are epochs of 10 or 13 digits or compact dates, never anything else', () => {
+  const { points, errors } = importTrack([
+    'time,lat,lon',
+    '1763010000,19.1,72.9',
+    '1763010010500,19.1,72.9',
+    '20251113,19.1,72.9',
+    '20251113050020,19.1,72.9',
+    '20250230,19.1,72.9',
+    '123456,19.1,72.9'
+  ].join('\n'));
+  assert.deepStrictEqual(points.map(p => p.gpstime), [
+    '2025-11-13T05:00:00.000Z', '2025-11-13T05:00:10.500Z', '2025-11-13T00:00:00.000Z', '2025-11-13T05:00:20.000Z'
+  ]);
+  assert.deepStrictEqual(errors.map(e => [e.line, e.verdict]), [[6, 'invalid-time'], [7, 'invalid-time']]);
+});
+
+check('JSON records are checked and unusable ones get a verdict', () => {
+  const { points, errors } = importTrack(JSON.stringify([
+    { gpstime: '2025-11-13 05:00:00+00:00', lat: 19.1, lon: 72.9 },
+    { gpstime: '2025-11-13 05:00:10+00:00', lat: 0, lon: 0 },
+    { gpstime: 'soon', lat: 19.1, lon: 72.9 }
+  ]), { format: 'json' });
+  assert.strictEqual(points.length, 1);
+  assert.deepStrictEqual(errors.map(e => [e.record, e.verdict]), [[2, 'invalid-coordinate'], [3, 'invalid-time']]);
+});
+
+check('error lines stay right on a long GPX file', () => {
+  const trkpt = (i) => `<trkpt lat="${i === 4000 ? 'x' : 19}" lon="72"><time>2025-11-13T05:00:00Z</time></trkpt>`;
+  const text = `<gpx>\n${Array.from({ length: 5000 }, (_, i) => trkpt(i)).join('\n')}\n</gpx>`;
+  assert.deepStrictEqual(importTrack(text, { format: 'gpx' }).errors.map(e => e.line), [4002]);
+});
+
+// --- Exporters ---
+
+const truckResult = processGPSData(sample, { profile: 'truck' });
+
+check('GeoJSON has the route, jitters and idling events as features', () => {
+  const { features } = JSON.parse(exportResult(truckResult, 'geojson'));
+  assert.deepStrictEqual(features.map(f => f.properties.kind),
+    ['route', ...truckResult.jitters.map(() => 'jitter'), ...truckResult.idlingPoints.map(() => 'idle')]);
+  assert.strictEqual(features[0].geometry.coordinates.length, truckResult.cleanPath.length);
+  assert.deepStrictEqual(features[1].geometry.coordinates, [truckResult.jitters[0].lon, truckResult.jitters[0].lat]);
+});
+
+check('a GPX export reads back in with the clean route as its track', () => {
+  const gpx = exportResult(truckResult, 'gpx');
+  assert.strictEqual((gpx.match(/<trkpt /g) || []).length, truckResult.cleanPath.length);
+  const { points, errors } = importTrack(gpx, { format: 'gpx' });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(points.length, truckResult.cleanPath.length + truckResult.jitters.length + truckResult.idlingPoints.length);
+});
+
+check('KML Placemarks give their time before the styleUrl', () => {
+  const kml = exportResult(truckResult, 'kml');
+  const placemarks = kml.match(/<Placemark>[\s\S]*?<\/Placemark>/g);
+  assert.strictEqual(placemarks.length, 1 + truckResult.jitters.length + truckResult.idlingPoints.length);
+  placemarks.forEach(placemark => {
+    assert.ok(/<Time(Span|Stamp)>[\s\S]*<styleUrl>/.test(placemark), placemark);
+  });
+});
+
+check('unknown export formats are rejected', () => {
+  assert.throws(() => exportResult(truckResult, 'shp'), /Unknown export format: shp/);
+  assert.throws(() => exportFile(truckResult, scratchFile('track.txt')), /Cannot tell export format/);
+});
+
+// --- Kalman smoothing ---
+
+// A straight drive north-east at about 50 km/h, one fix every 10 s
+const straightTrack = (count, start = Date.UTC(2025, 10, 13, 5), from = { lat: 19.1, lon: 72.9 }) =>
+  Array.from({ length: count }, (_, i) => ({
+    gpstime: new Date(start + i * 10000).toISOString(),
+    lat: from.lat + i * 0.0009,
+    lon: from.lon + i * 0.0009
+  }));
+
+const kalmanOptions = { measurementNoiseM: 15, accelerationNoise: 2, window: 3 };
+
+check('the Kalman filter follows a clean track and rejects a lone jump', () => {
+  const track = straightTrack(40);
+  track[20] = { ...track[20], lat: track[20].lat + 0.05 };
+  const { points, outliers } = kalmanSmooth(track, kalmanOptions);
+  assert.deepStrictEqual(outliers, [track[20]]);
+  assert.strictEqual(points.length, 39);
+  points.forEach(p => assert.ok(Math.abs(p.lat - p.raw.lat) < 0.001, `${p.gpstime} moved ${p.lat - p.raw.lat}`));
+});
+
+check('a burst of scattered jitter longer than the window stays rejected', () => {
+  const track = straightTrack(60);
+  track[20] = { ...track[20], lon: 73.5 };
+  track[21] = { ...track[21], lon: 72.1 };
+  track[22] = { ...track[22], lat: 20.5 };
+  const { points, outliers } = kalmanSmooth(track, kalmanOptions);
+  assert.deepStrictEqual(outliers, [track[20], track[21], track[22]]);
+  points.forEach(p => assert.ok(Math.abs(p.lat - p.raw.lat) < 0.001 && Math.abs(p.lon - p.raw.lon) < 0.001,
+    `${p.gpstime} dragged to ${p.lat}, ${p.lon}`));
+});
+
+check('after a gap, a track that carries on elsewhere restarts the filter', () => {
+  const before = straightTrack(30);
+  const after = straightTrack(30, Date.UTC(2025, 10, 13, 6), { lat: 19.4, lon: 73.1 });
+  const { points, outliers } = kalmanSmooth([...before, ...after], kalmanOptions);
+  assert.deepStrictEqual(outliers, []);
+  assert.strictEqual(points.length, 60);
+  points.slice(30).forEach(p => assert.ok(Math.abs(p.lat - p.raw.lat) < 0.001, `${p.gpstime} moved ${p.lat - p.raw.lat}`));
+});
+
+check("smoothing: 'rts' reports filter outliers as jitter", () => {
+  const track = straightTrack(40);
+  track[20] = { ...track[20], lat: track[20].lat + 0.05 };
+  const result = processGPSData(track, { smoothing: 'rts' });
+  assert.strictEqual(result.statistics.jittersRemoved, 1);
+  assert.strictEqual(result.jitters[0].gpstime, track[20].gpstime);
+  assert.ok(result.cleanPath.every(p => p.uncertainty > 0));
+});
+
+// --- Trips ---
+
+check('sample trips leave out the impossible jumps the jitter window keeps', () => {
+  const { trips, options } = processGPSData(sample);
+  assert.deepStrictEqual(trips.map(t => [t.startTime.toISOString(), t.endTime.toISOString(), t.pointCount]), [
+    ['2025-11-13T04:45:14.000Z', '2025-11-13T04:46:31.000Z', 3],
+    ['2025-11-13T05:46:20.000Z', '2025-11-13T06:57:28.000Z', 47],
+    ['2025-11-13T07:37:24.000Z', '2025-11-13T08:30:33.000Z', 91]
+  ]);
+  trips.forEach(trip => assert.ok(trip.maxSpeedKmh <= options.jitterSpeedThresholdKmh, `trip ${trip.id}: ${trip.maxSpeedKmh} km/h`));
+});
+
+check('a gap or a long stop ends a trip; the stop belongs to no trip', () => {
+  const drive = straightTrack(10);
+  const parked = Array.from({ length: 20 }, (_, i) => ({
+    ...drive[9], gpstime: new Date(Date.parse(drive[9].gpstime) + (i + 1) * 60000).toISOString()
+  }));
+  const later = straightTrack(10, Date.parse(parked[19].gpstime) + 10000, drive[9]);
+  const afterGap = straightTrack(10, Date.parse(later[9].gpstime) + 3600000, later[9]);
+  const trips = segmentTrips([...drive, ...parked, ...later.slice(1), ...afterGap.slice(1)]);
+  assert.deepStrictEqual(trips.map(t => t.pointCount), [10, 10, 9]);
+  assert.strictEqual(trips[0].idleTimeSec, 0);
+  assert.ok(Math.abs(trips[0].distanceMeters - 1240) < 10, `${trips[0].distanceMeters} m`);
+  assert.ok(trips[0].averageSpeedKmh > 45 && trips[0].averageSpeedKmh < 50, `${trips[0].averageSpeedKmh} km/h`);
+});
+
+// --- Stop clustering ---
+
+check('dbscan chains neighbours into one cluster and leaves sparse items as noise', () => {
+  const distance = (a, b) => Math.abs(a - b);
+  assert.deepStrictEqual(dbscan([0, 1, 2, 10, 20, 21], { radius: 1, distance }), [0, 0, 0, 1, 2, 2]);
+  assert.deepStrictEqual(dbscan([0, 1, 2, 10, 20, 21], { radius: 1, minPoints: 2, distance }), [0, 0, 0, NOISE, 1, 1]);
+});
+
+check('idling events at one place become one stop; close events one visit', () => {
+  const idle = (lat, start, minutes) => ({
+    lat,
+    lon: 72.9,
+    startTime: new Date(Date.UTC(2025, 10, 13, start)).toISOString(),
+    endTime: new Date(Date.UTC(2025, 10, 13, start) + minutes * 60000).toISOString(),
+    duration: minutes * 60
+  });
+  const events = [
+    idle(19.1, 5, 10),
+    { ...idle(19.1002, 5, 14), startTime: new Date(Date.UTC(2025, 10, 13, 5, 12)).toISOString() },
+    idle(19.1001, 9, 30),
+    idle(19.2, 7, 5)
+  ];
+  const clusters = clusterStops(events, { radiusM: 50, mergeGapSec: 300 });
+  assert.deepStrictEqual(clusters.map(c => [c.id, c.events, c.visits]), [[1, 3, 2], [2, 1, 1]]);
+  assert.strictEqual(clusters[0].totalDwellSec, (14 + 30) * 60);
+  assert.ok(clusters[0].radiusM < 20, `${clusters[0].radiusM} m`);
+});
+
+check('processGPSData clusters the sample idling events into stop locations', () => {
+  const { idlingPoints, stopClusters, statistics } = processGPSData(sample);
+  assert.strictEqual(stopClusters.reduce((sum, c) => sum + c.events, 0), idlingPoints.length);
+  assert.strictEqual(statistics.stopLocations, stopClusters.length);
+  assert.ok(stopClusters.every((c, i) => i === 0 || c.totalDwellSec <= stopClusters[i - 1].totalDwellSec));
+});
+
+// --- Fleets ---
+
+// The sample as vehicle 'van-10' interleaved with a straight drive by
+// 'van-9' that has one far-off fix
+const fleetData = () => {
+  const other = straightTrack(40).map(p => ({ ...p, imei: 'van-9' }));
+  other[20] = { ...other[20], lat: other[20].lat + 0.05 };
+  const mixed = [];
+  sample.forEach((p, i) => {
+    mixed.push({ ...p, imei: 'van-10' });
+    if (other[i]) mixed.push(other[i]);
+  });
+  return { mixed, other };
+};
+
+check('processFleet processes each vehicle on its own and sums the fleet', () => {
+  const { mixed, other } = fleetData();
+  const { vehicleKey, vehicles, fleet } = processFleet(mixed);
+  assert.strictEqual(vehicleKey, 'imei');
+  assert.deepStrictEqual(vehicles.map(v => v.vehicleId), ['van-9', 'van-10']);
+  assert.deepStrictEqual(vehicles[1].statistics.trips, processGPSData(sample).statistics.trips);
+  assert.strictEqual(vehicles[0].statistics.jittersRemoved, 1);
+  assert.strictEqual(fleet.vehicles, 2);
+  assert.strictEqual(fleet.totalPoints, mixed.length);
+  assert.strictEqual(fleet.jittersRemoved, vehicles[0].statistics.jittersRemoved + vehicles[1].statistics.jittersRemoved);
+
+  const jitter = vehicles[0].verdicts.find(v => v.verdict === 'jitter');
+  assert.strictEqual(mixed[jitter.index], other[20]);
+});
+
+check('processFleet groups records without the key as unknown, and needs a key', () => {
+  const { vehicles } = processFleet([...straightTrack(5).map(p => ({ ...p, vehicle: 7 })), ...straightTrack(5)]);
+  assert.deepStrictEqual(vehicles.map(v => [v.vehicleId, v.statistics.totalPoints]), [['7', 5], ['unknown', 5]]);
+  assert.throws(() => processFleet(straightTrack(5)), /No vehicle key found/);
+});
+
+check('records that are not objects go to the unknown group with a verdict', () => {
+  const [first, second] = straightTrack(2).map(p => ({ ...p, imei: 'van-9' }));
+  const { vehicles } = processFleet([null, first, 42, second]);
+  assert.deepStrictEqual(vehicles.map(v => [v.vehicleId, v.statistics.totalPoints]), [['unknown', 2], ['van-9', 2]]);
+  assert.deepStrictEqual(vehicles[0].verdicts.map(v => [v.index, v.verdict, v.message]),
+    [[0, 'invalid-coordinate', 'Not an object'], [2, 'invalid-coordinate', 'Not an object']]);
+});
+
+check('the fleet map has a layer per vehicle', () => {
+  const html = generateFleetMapHTML(processFleet(fleetData().mixed));
+  assert.match(html, /L\.control\.layers/);
+  ['van-9', 'van-10'].forEach(vehicleId => assert.ok(html.includes(vehicleId), vehicleId));
+});
+
+// --- Streaming ---
+
+// Stream `text` through a ReorderingProcessor in chunks of `chunkSize`
+// characters; resolves to what it emitted, shaped like a batch result
+const streamResult = async (text, bufferSize, chunkSize = 97, options = {}) => {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.slice(i, i + chunkSize));
+
+  const processor = new ReorderingProcessor(options, { bufferSize });
+  const result = { cleanPath: [], jitters: [], duplicates: [], late: [], idlingPoints: [], invalid: [] };
+  processor.on('clean-point', point => result.cleanPath.push(point));
+  processor.on('jitter', point => result.jitters.push(point));
+  processor.on('duplicate', point => result.duplicates.push(point));
+  processor.on('late', point => result.late.push(point));
+  processor.on('idle-end', idle => result.idlingPoints.push(idle));
+  processor.on('invalid', problem => result.invalid.push(problem));
+  result.counts = await processStream(Readable.from(chunks), processor);
+  return result;
+};
+
+const sameAsBatch = (streamed, batch) => {
+  const times = (points) => points.map(p => p.gpstime);
+  assert.deepStrictEqual(times(streamed.cleanPath), times(batch.cleanPath));
+  assert.deepStrictEqual(times(streamed.jitters), times(batch.jitters));
+  assert.deepStrictEqual(streamed.idlingPoints, batch.idlingPoints);
+};
+
+// The sample with every block of four points reversed: nothing is more than
+// three places out of order
+const shuffled = sample.flatMap((_, i) => (i % 4 === 0 ? sample.slice(i, i + 4).reverse() : []));
+
+check('streaming a JSON array gives the batch result', async () => {
+  const streamed = await streamResult(JSON.stringify(sample, null, 2), 0);
+  sameAsBatch(streamed, processGPSData(sample));
+  assert.strictEqual(streamed.duplicates.length, processGPSData(sample).statistics.duplicateTimestamps);
+  assert.deepStrictEqual(streamed.counts, { records: sample.length, invalid: 0 });
+});
+
+check('the reorder buffer puts slightly shuffled NDJSON back in batch order', async () => {
+  const ndjson = shuffled.map(p => JSON.stringify(p)).join('\n');
+  const streamed = await streamResult(ndjson, 4, 61, { profile: 'truck' });
+  sameAsBatch(streamed, processGPSData(shuffled, { profile: 'truck' }));
+  assert.deepStrictEqual(streamed.late, []);
+});
+
+check('points later than the buffer are dropped as late; the rest match batch mode', async () => {
+  const streamed = await streamResult(JSON.stringify(shuffled), 1);
+  assert.ok(streamed.late.length > 0);
+  const late = streamed.late.map(p => JSON.stringify(p));
+  const onTime = shuffled.filter(p => {
+    const i = late.indexOf(JSON.stringify(p));
+    if (i !== -1) late.splice(i, 1);
+    return i === -1;
+  });
+  sameAsBatch(streamed, processGPSData(onTime));
+});
+
+check("without a buffer, late points are what outOfOrder: 'reject' rejects", async () => {
+  const streamed = await streamResult(JSON.stringify(shuffled), 0);
+  const batch = processGPSData(shuffled, { outOfOrder: 'reject' });
+  sameAsBatch(streamed, batch);
+  assert.deepStrictEqual(streamed.late.map(p => p.gpstime),
+    batch.verdicts.filter(v => v.verdict === 'out-of-order').map(v => v.gpstime));
+});
+
+check('unusable stream records are reported with their verdict', async () => {
+  const text = [
+    JSON.stringify(sample[0]),
+    '{"gpstime": "2025-11-13 04:45:30+00:00", "lat": 19.1',
+    JSON.stringify({ ...sample[1], lat: 91 }),
+    JSON.stringify(sample[2])
+  ].join('\n');
+  const streamed = await streamResult(text, 8);
+  assert.deepStrictEqual(streamed.invalid.map(p => [p.record, p.verdict]), [[2, 'unreadable'], [3, 'invalid-coordinate']]);
+  assert.deepStrictEqual(streamed.counts, { records: 4, invalid: 2 });
+  assert.strictEqual(streamed.cleanPath.length, 2);
+});
+
+// --- Geofences ---
+
+const depot = { name: 'Depot', lat: 19.109, lon: 72.909, radius: 300 };
+
+check('geofences load from GeoJSON and plain zone lists', () => {
+  const fences = loadGeofences({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Yard' }, geometry: { type: 'Polygon', coordinates: [[[72, 19], [73, 19], [73, 20], [72, 19]]] } },
+      { type: 'Feature', properties: { name: 'Gate', radius: 50 }, geometry: { type: 'Point', coordinates: [72.5, 19.5] } }
+    ]
+  });
+  assert.deepStrictEqual(fences.map(f => [f.name, f.type]), [['Yard', 'polygon'], ['Gate', 'circle']]);
+  assert.deepStrictEqual(loadGeofences([depot, { name: 'Site', polygon: [[19, 72], [19, 73], [20, 73]] }]).map(f => f.type),
+    ['circle', 'polygon']);
+  assert.throws(() => loadGeofences([{ name: 'Gate', lat: 19, lon: 72 }]), /without a positive "radius"/);
+  assert.throws(() => loadGeofences([depot, depot]), /Duplicate geofence name: Depot/);
+});
+
+check('polygon holes are outside the zone', () => {
+  const [fence] = loadGeofences({
+    type: 'Polygon',
+    coordinates: [[[72, 19], [74, 19], [74, 21], [72, 21], [72, 19]], [[72.5, 19.5], [73.5, 19.5], [73.5, 20.5], [72.5, 20.5], [72.5, 19.5]]]
+  });
+  assert.strictEqual(isInside(fence, { lat: 19.2, lon: 72.2 }), true);
+  assert.strictEqual(isInside(fence, { lat: 20, lon: 73 }), false);
+  assert.strictEqual(isInside(fence, { lat: 22, lon: 73 }), false);
+});
+
+check('driving through a zone gives one enter, one exit and the dwell time', () => {
+  const track = straightTrack(30);
+  const { events, zones } = trackGeofences(track, loadGeofences([depot]));
+  assert.deepStrictEqual(events.map(e => [e.type, e.time.toISOString()]), [
+    ['enter', track[8].gpstime], ['exit', track[13].gpstime]
+  ]);
+  assert.deepStrictEqual(zones.map(z => [z.name, z.visits, z.dwellSec]), [['Depot', 1, 50]]);
+});
+
+check('processGPSData reports zone visits and tags idling events with their zone', () => {
+  const parked = Array.from({ length: 10 }, (_, i) => ({
+    gpstime: new Date(Date.UTC(2025, 10, 13, 6) + i * 60000).toISOString(), lat: depot.lat, lon: depot.lon
+  }));
+  const { idlingPoints, zones, geofenceEvents } = processGPSData([...straightTrack(10), ...parked], { geofences: [depot] });
+  assert.strictEqual(idlingPoints.length, 1);
+  assert.strictEqual(idlingPoints[0].zone, 'Depot');
+  assert.deepStrictEqual(geofenceEvents.map(e => e.type), ['enter']);
+  assert.strictEqual(zones[0].visits, 1);
+});
+
+// --- Offline maps ---
+
+// A directory of XYZ tiles holding the zoom 10 tile under straightTrack()
+const tileDirectory = () => {
+  const dir = path.join(scratch, 'tiles');
+  fs.mkdirSync(path.join(dir, '10', '719'), { recursive: true });
+  fs.writeFileSync(path.join(dir, '10', '719', '456.png'), Buffer.from('not really a png'));
+  return dir;
+};
+
+const mapArgs = (result, data) => [data, result.cleanPath, result.jitters, result.idlingPoints, result.statistics];
+
+check('Web Mercator projection puts 0, 0 in the middle of the world', () => {
+  assert.deepStrictEqual(project(0, 0), { x: 0.5, y: 0.5 });
+  assert.ok(project(85.06, 0).y < 0.0001 && project(-85.06, 0).y > 0.9999);
+});
+
+check('svgMap draws lines, dots and a scale bar; nothing to draw says so', () => {
+  const svg = svgMap({
+    lines: [{ coords: straightTrack(10).map(p => [p.lat, p.lon]), color: 'blue', title: 'Route' }],
+    dots: [{ at: [19.1, 72.9], color: 'red', title: 'Jitter & co' }]
+  });
+  assert.match(svg, /<polyline points="[\d., ]+"[^>]*stroke="blue"/);
+  assert.match(svg, /<title>Jitter &amp; co<\/title>/);
+  assert.match(svg, /<text[^>]*>\d+ (m|km)<\/text>/);
+  assert.match(svgMap({}), /No GPS points/);
+});
+
+check('prepareOfflineMap embeds the tiles around the track within maxTiles', async () => {
+  const track = straightTrack(5);
+  const tiles = tileDirectory();
+  const prepared = await prepareOfflineMap(track, { tiles });
+  assert.deepStrictEqual(Object.keys(prepared.tiles.images), ['10/719/456']);
+  assert.match(prepared.tiles.images['10/719/456'], /^data:image\/png;base64,/);
+  assert.match(prepared.leaflet.js, /Leaflet/);
+  assert.deepStrictEqual(await prepareOfflineMap(track, { tiles, maxTiles: 8 }), { leaflet: null, tiles: null });
+  assert.deepStrictEqual(await prepareOfflineMap(track), { leaflet: null, tiles: null });
+  await assert.rejects(prepareOfflineMap(track, { maxTiles: 0 }), /maxTiles must be a positive whole number/);
+  await assert.rejects(prepareOfflineMap(track, { tiles: path.join(scratch, 'missing') }), /not found/);
+});
+
+check('offline maps load nothing from the network', async () => {
+  const track = straightTrack(5);
+  const result = processGPSData(track);
+  const svgPage = generateMapHTML(...mapArgs(result, track), { offline: { leaflet: null, tiles: null } });
+  assert.ok(!/<script/.test(svgPage) && /<svg/.test(svgPage));
+
+  const tilePage = generateMapHTML(...mapArgs(result, track), { offline: await prepareOfflineMap(track, { tiles: path.join(scratch, 'tiles') }) });
+  assert.ok(tilePage.includes('10/719/456'));
+  assert.ok(!/<(script|link)[^>]+(src|href)="https?:/.test(tilePage), 'page loads Leaflet from the network');
+  assert.ok(!/tile\.openstreetmap\.org/.test(tilePage), 'page loads tiles from the network');
+});
+
+// --- Map speed colouring and playback ---
+
+// The JSON a generated map page assigns to `var <name>`
+const pageData = (html, name) => JSON.parse(new RegExp(`var ${name} = (.*);\\n`).exec(html)[1]);
+
+check('the map route is coloured by speed band and dotted between trips', () => {
+  // 10 s apart: ~4 km/h crawling, then ~64 km/h, then the same after an hour's gap
+  const at = (i, lat) => ({ gpstime: new Date(Date.UTC(2025, 10, 13, 5) + i * 10000).toISOString(), lat, lon: 72.9 });
+  const crawl = Array.from({ length: 5 }, (_, i) => at(i, 19.1 + i * 0.0001));
+  const drive = Array.from({ length: 5 }, (_, i) => at(5 + i, 19.1004 + (i + 1) * 0.0016));
+  const later = drive.map((p, i) => at(400 + i, p.lat + 0.01));
+  const track = [...crawl, ...drive, ...later];
+  const result = processGPSData(track);
+  const lines = pageData(generateMapHTML(...mapArgs(result, track), { trips: result.trips }), 'speedLines');
+  assert.deepStrictEqual(lines.map(l => [l.color, l.between, l.coords.length]),
+    [['#3288bd', false, 5], ['#fdae61', false, 6], ['#555', true, 2], ['#fdae61', false, 5]]);
+});
+
+check('every clean point carries its time and speed for popups and playback', () => {
+  const result = processGPSData(sample);
+  const html = generateMapHTML(...mapArgs(result, sample), { trips: result.trips });
+  const track = pageData(html, 'track');
+  assert.strictEqual(track.length, result.cleanPath.length);
+  track.forEach(([lat, lon, time, speed], i) => {
+    assert.deepStrictEqual([lat, lon, time], [result.cleanPath[i].lat, result.cleanPath[i].lon, Date.parse(result.cleanPath[i].gpstime)]);
+    assert.strictEqual(speed, i === 0 ? 0 : +calculateSpeed(result.cleanPath[i - 1], result.cleanPath[i]).toFixed(1));
+  });
+
+  assert.ok(html.includes(`min="${track[0][2]}" max="${track[track.length - 1][2]}"`), 'timeline spans the track');
+  assert.deepStrictEqual([...html.matchAll(/<option value="(\d+)"( selected)?>/g)].map(m => [m[1], Boolean(m[2])]),
+    [['10', false], ['60', true], ['300', false], ['1200', false]]);
+});
+
+check('a single fix gets no playback controls', () => {
+  const result = processGPSData(sample.slice(0, 1));
+  assert.ok(!generateMapHTML(...mapArgs(result, sample.slice(0, 1))).includes('id="playback"'));
+});
+
+// --- Data-quality reports ---
+
+// A short drive with one record of every kind processGPSData can reject
+const messyTrack = () => {
+  const track = straightTrack(12);
+  return [
+    ...track.slice(0, 4),
+    { ...track[4], lat: track[4].lat + 0.05 },          // jitter
+    track[5],
+    { ...track[5], lat: track[5].lat + 0.0001 },         // duplicate
+    { ...track[6], lat: 0, lon: 0 },                     // invalid-coordinate
+    { ...track[7], gpstime: 'not a time' },              // invalid-time
+    track[8],
+    track[7],                                            // out-of-order
+    ...track.slice(9)
+  ];
+};
+
+check('the quality report has one row per record, in input order, with its verdict', () => {
+  const data = messyTrack();
+  const { summary, points } = qualityReport(processGPSData(data, { outOfOrder: 'reject' }));
+  assert.deepStrictEqual(points.map(p => [p.point, p.verdict]), data.map((_, i) => [i + 1, [
+    'kept', 'kept', 'kept', 'kept', 'jitter', 'kept', 'duplicate', 'invalid-coordinate', 'invalid-time', 'kept', 'out-of-order'
+  ][i] || 'kept']));
+  assert.deepStrictEqual(summary.counts, {
+    kept: 9, jitter: 1, duplicate: 1, 'invalid-coordinate': 1, 'invalid-time': 1, 'out-of-order': 1, unreadable: 0
+  });
+  assert.strictEqual(summary.rejectedPercent, 35.7);
+  assert.strictEqual(summary.samplingIntervalSec.median, 10);
+  assert.match(points[4].message, /km\/h from the last 3 clean fix\(es\), limit 120 km\/h/);
+  assert.deepStrictEqual(summary.settings, { jitterSpeedThresholdKmh: 120, windowSize: 3, smoothing: 'none', outOfOrder: 'reject' });
+});
+
+check('records the importer skipped are listed after the processed ones', () => {
+  const { points, errors } = importTrack('time,lat,lon\n2025-11-13T05:00:00Z,19.1,72.9\n2025-11-13T05:00:10Z,19.1\n2025-11-13T05:00:20Z,91,72.9\n');
+  const report = qualityReport(processGPSData(points), { importErrors: errors });
+  assert.deepStrictEqual(report.points.map(p => [p.point, p.source, p.verdict]),
+    [[1, null, 'kept'], [null, 'line 3', 'unreadable'], [null, 'line 4', 'invalid-coordinate']]);
+  assert.strictEqual(report.summary.records, 3);
+});
+
+check('fleet reports count per vehicle', () => {
+  const { summary, points } = qualityReport(processFleet(fleetData().mixed));
+  assert.deepStrictEqual(summary.vehicles.map(v => [v.vehicleId, v.records, v.counts.jitter]),
+    [['van-9', 40, 1], ['van-10', sample.length, 0]]);
+  assert.strictEqual(points.length, summary.records);
+  assert.strictEqual(points.find(p => p.verdict === 'jitter').vehicle, 'van-9');
+});
+
+check('quality reports are written as CSV or JSON by extension', () => {
+  const report = qualityReport(processGPSData(messyTrack()));
+  const csvPath = scratchFile('quality.csv');
+  assert.strictEqual(writeQualityReport(report, csvPath), 'csv');
+  const rows = fs.readFileSync(csvPath, 'utf8').trimEnd().split('\n');
+  assert.strictEqual(rows[0], 'point,source,vehicle,verdict,gpstime,lat,lon,speed_kmh,threshold_kmh,references,out_of_order,message');
+  assert.strictEqual(rows.length, report.points.length + 1);
+  assert.match(rows[5], /^5,,,jitter,.*,"[^"]*km\/h from the last 3 clean fix\(es\), limit 120 km\/h"$/);
+
+  const jsonPath = scratchFile('quality.json');
+  assert.strictEqual(writeQualityReport(report, jsonPath), 'json');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), JSON.parse(JSON.stringify(report)));
+  assert.throws(() => writeQualityReport(report, scratchFile('quality.txt')), /Cannot tell report format/);
+});
+
+// --- Runner ---
+
+const run = async () => {
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`✓ PASS: ${name}`);
+      passed++;
+    } catch (err) {
+      console.log(`✗ FAIL: ${name}\n  ${err.message.split('\n').join('\n  ')}`);
+      failed++;
+    }
+  }
+
+  fs.rmSync(scratch, { recursive: true, force: true });
+  console.log(`\n=== Results: ${passed} passed, ${failed} failed ===`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+run();